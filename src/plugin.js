@@ -1,12 +1,44 @@
 import Table from './table';
+import Panel from './utils/panel';
 import * as $ from './utils/dom';
 import {
 	COLOR_SCHEMES,
+	registerColorScheme,
+	normalizeGradientRange,
 	applyMovingAverage,
 	applyGaussianSmoothing,
 	applyBilinearInterpolation,
+	blendContent,
 	autoFillBlanks,
+	interpolateRegion,
 } from './utils/automotive';
+import {
+	composeGrid,
+	getAxesMode,
+	hasXAxis,
+	hasYAxis,
+	getAxisErrors,
+	repairAxis,
+	parseBreakpointList,
+	formatBreakpointList,
+	generateBreakpoints,
+} from './utils/axes';
+import { toDelimited, parseDelimited } from './utils/csv';
+import { parseDatalog, guessColumn, getSamples } from './utils/datalog';
+import {
+	normalizeUnits,
+	hasUnits,
+	FUELS,
+	UNIT_QUANTITIES,
+	findQuantity,
+	getUnitConversion,
+} from './utils/units';
+import {
+	normalizeNumberFormat,
+	detectSuffixes,
+	localizeNumber,
+	BIT_WIDTHS,
+} from './utils/numbers';
 
 import {
 	IconTable,
@@ -75,21 +107,110 @@ export default class TableBlock {
 		this.api = api;
 		this.readOnly = readOnly;
 		this.config = config;
+
+		const hasContent = Boolean(data && data.content && data.content.length);
+		// Saved axes decide the layout even without map values
+		const isSaved =
+			hasContent ||
+			Boolean(
+				data && (Array.isArray(data.xAxis) || Array.isArray(data.yAxis)),
+			);
+		const format = normalizeNumberFormat(
+			(data && data.numberFormat) || (config && config.numberFormat),
+		);
+		// Tables saved before the number format read '20%' as 20, their units stay allowed after numbers
+		const numberFormat =
+			hasContent && !data.numberFormat
+				? {
+						...format,
+						suffixes: [
+							...format.suffixes,
+							...detectSuffixes(data.content).filter(
+								(suffix) => !format.suffixes.includes(suffix),
+							),
+						],
+					}
+				: format;
+
 		this.data = {
 			withHeadings: this.getConfig('withHeadings', false, data),
+			axes: isSaved
+				? getAxesMode(data.xAxis, data.yAxis)
+				: (config && config.axes) || false,
 			stretched: this.getConfig('stretched', false, data),
 			gradientColors: this.getConfig('gradientColors', false, data),
 			colorScheme: this.getConfig('colorScheme', 'THERMAL', data),
+			gradientNormalization: this.getConfig(
+				'gradientNormalization',
+				'global',
+				data,
+			),
+			gradientScale: this.getConfig('gradientScale', 'linear', data),
 			showTableTitle: this.getConfig('showTableTitle', false, data),
 			tableTitle: this.getConfig('tableTitle', '', data),
 			showAxisTitles: this.getConfig('showAxisTitles', false, data),
 			horizontalTitle: this.getConfig('horizontalTitle', '', data),
 			verticalTitle: this.getConfig('verticalTitle', '', data),
 			skipHeadings: this.getConfig('skipHeadings', false, data),
-			content: data && data.content ? data.content : [],
+			// Tables from before units only had the unit of the scale bar,
+			// saved units, even empty ones, are never mixed with the config
+			units: normalizeUnits(
+				data && data.units
+					? { value: data.valueUnit, ...data.units }
+					: {
+							value:
+								(data && data.valueUnit) ||
+								(config && config.valueUnit),
+							...(config && config.units),
+						},
+			),
+			physicalView: this.getConfig('physicalView', false, data),
+			gradientRange: normalizeGradientRange(
+				(data && data.gradientRange) || (config && config.gradientRange),
+			),
+			numberFormat,
+			content: isSaved
+				? composeGrid(
+						hasContent ? data.content : [[]],
+						data.xAxis,
+						data.yAxis,
+						numberFormat,
+					)
+				: [],
+			lockedCells:
+				hasContent && Array.isArray(data.lockedCells)
+					? data.lockedCells
+					: [],
 		};
 		this.table = null;
 		this.block = block;
+
+		// Schemes from the config join the registry shared by all tables
+		if (config && config.colorSchemes) {
+			Object.entries(config.colorSchemes).forEach(([key, scheme]) => {
+				registerColorScheme(key, scheme);
+			});
+		}
+
+		// Parameter panel opened from the tune menu, one at a time
+		this.panel = null;
+
+		// CSV/TSV format used by import and export, not saved with the block
+		this.csvOptions = {
+			delimiter: (config && config.csvDelimiter) || ',',
+			decimalSeparator: (config && config.csvDecimalSeparator) || '.',
+		};
+	}
+
+	/**
+	 * Add a gradient color scheme to the tune menu of every table
+	 *
+	 * @param {string} key - name saved with the block, e.g. 'CORPORATE'
+	 * @param {import('./utils/automotive').ColorScheme} scheme - title and color stops
+	 * @returns {boolean} - false if the scheme is not valid and was not registered
+	 */
+	static registerColorScheme(key, scheme) {
+		return registerColorScheme(key, scheme);
 	}
 
 	/**
@@ -115,17 +236,31 @@ export default class TableBlock {
 		/** creating table */
 		this.table = new Table(this.readOnly, this.api, this.data, this.config);
 
+		// Saved cells are already written in the format, nothing to rewrite
+		this.table.tunes.numberFormat = this.data.numberFormat;
+
 		/** creating container around table */
 		this.container = $.make('div', this.api.styles.block);
 		this.container.appendChild(this.table.getWrapper());
 
 		this.table.setHeadingsSetting(this.data.withHeadings);
+		this.table.setAxesSetting(this.data.axes);
+		this.table.setLockedCells(this.data.lockedCells || []);
+
+		// Legacy tables exclude headings from calculations through this tune
+		this.table.tunes.skipHeadings = this.data.skipHeadings;
+
+		// Units, view, color range and number format live in the table from here on, save() reads them back
+		this.table.setUnits(this.data.units);
+		this.table.setPhysicalView(this.data.physicalView);
+		this.table.setGradientRange(this.data.gradientRange);
+		this.table.setGradientNormalization(this.data.gradientNormalization);
+		this.table.setGradientScale(this.data.gradientScale);
 
 		// Apply automotive settings
 		if (this.data.gradientColors) {
 			this.table.tunes.gradientColors = this.data.gradientColors;
 			this.table.tunes.colorScheme = this.data.colorScheme;
-			this.table.tunes.skipHeadings = this.data.skipHeadings;
 			this.table.setGradientColors(true);
 		}
 
@@ -143,6 +278,23 @@ export default class TableBlock {
 			this.table.tunes.tableTitle = this.data.tableTitle;
 		}
 
+		// Undo/redo brings back table settings, keep the saved copy in sync
+		this.table.onHistoryRestore = (tunes) => {
+			this.data.withHeadings = tunes.withHeadings;
+			this.data.axes = tunes.axes;
+			this.data.gradientColors = tunes.gradientColors;
+			this.data.skipHeadings = tunes.skipHeadings;
+			this.data.gradientNormalization = tunes.gradientNormalization;
+			this.data.gradientScale = tunes.gradientScale;
+			this.data.horizontalTitle = tunes.horizontalTitle;
+			this.data.verticalTitle = tunes.verticalTitle;
+
+			// The table only knows the saved scheme while colors are enabled
+			if (tunes.gradientColors) {
+				this.data.colorScheme = tunes.colorScheme;
+			}
+		};
+
 		// Apply table title visibility (default to false)
 		const showTableTitle = this.data.showTableTitle === true;
 		this.updateTableTitle(showTableTitle);
@@ -229,11 +381,13 @@ export default class TableBlock {
 							} else {
 								this.data.withHeadings = 'row';
 							}
-							this.table.setHeadingsSetting(this.data.withHeadings);
-							// Recalculate gradient colors if enabled
-							if (this.data.gradientColors) {
-								this.table.applyGradientColors();
-							}
+							this.table.transact(() => {
+								this.table.setHeadingsSetting(this.data.withHeadings);
+								// Recalculate gradient colors if enabled
+								if (this.data.gradientColors) {
+									this.table.applyGradientColors();
+								}
+							});
 						},
 					},
 					{
@@ -255,11 +409,13 @@ export default class TableBlock {
 							} else {
 								this.data.withHeadings = 'column';
 							}
-							this.table.setHeadingsSetting(this.data.withHeadings);
-							// Recalculate gradient colors if enabled
-							if (this.data.gradientColors) {
-								this.table.applyGradientColors();
-							}
+							this.table.transact(() => {
+								this.table.setHeadingsSetting(this.data.withHeadings);
+								// Recalculate gradient colors if enabled
+								if (this.data.gradientColors) {
+									this.table.applyGradientColors();
+								}
+							});
 						},
 					},
 					{
@@ -272,97 +428,222 @@ export default class TableBlock {
 						closeOnActivate: true,
 						onActivate: () => {
 							this.data.withHeadings = false;
-							this.table.setHeadingsSetting(this.data.withHeadings);
-							// Recalculate gradient colors if enabled
-							if (this.data.gradientColors) {
-								this.table.applyGradientColors();
-							}
+							this.table.transact(() => {
+								this.table.setHeadingsSetting(this.data.withHeadings);
+								// Recalculate gradient colors if enabled
+								if (this.data.gradientColors) {
+									this.table.applyGradientColors();
+								}
+							});
 						},
 					},
 				],
 			},
 		});
 
+		// Add axis breakpoints settings with submenu
 		settings.push({
-			label: this.data.stretched
-				? this.api.i18n.t('Collapse')
-				: this.api.i18n.t('Stretch'),
-			icon: this.data.stretched ? IconCollapse : IconStretch,
-			closeOnActivate: true,
-			toggle: true,
-			onActivate: () => {
-				this.data.stretched = !this.data.stretched;
-				this.block.stretched = this.data.stretched;
+			name: 'axes',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="1" y="1" width="15" height="3" fill="currentColor" opacity="0.3"/><rect x="1" y="5" width="3" height="11" fill="currentColor" opacity="0.3"/><rect x="5" y="5" width="11" height="11" fill="currentColor"/></svg>`,
+			label: 'Axis Breakpoints',
+			children: {
+				items: [
+					{
+						name: 'xAxis',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="1" y="1" width="15" height="3" fill="currentColor" opacity="0.7"/><rect x="1" y="5" width="15" height="11" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>`,
+						title: 'X Axis (1st Row)',
+						isActive: this.data.axes === 'x' || this.data.axes === 'both',
+						closeOnActivate: true,
+						onActivate: () => {
+							const axes = this.data.axes;
+							const withY = axes === 'y' || axes === 'both';
+							const withX = !(axes === 'x' || axes === 'both');
+
+							this.setAxes(withX, withY);
+						},
+					},
+					{
+						name: 'yAxis',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="1" y="1" width="3" height="15" fill="currentColor" opacity="0.7"/><rect x="5" y="1" width="11" height="15" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>`,
+						title: 'Y Axis (1st Column)',
+						isActive: this.data.axes === 'y' || this.data.axes === 'both',
+						closeOnActivate: true,
+						onActivate: () => {
+							const axes = this.data.axes;
+							const withX = axes === 'x' || axes === 'both';
+							const withY = !(axes === 'y' || axes === 'both');
+
+							this.setAxes(withX, withY);
+						},
+					},
+					{
+						name: 'noAxes',
+						icon: IconTableWithoutHeadings,
+						title: 'None',
+						isActive: !this.data.axes,
+						closeOnActivate: true,
+						onActivate: () => {
+							this.setAxes(false, false);
+						},
+					},
+					...(this.data.axes
+						? [
+								{
+									name: 'rescaleAxes',
+									icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="2" y="2" width="13" height="13" stroke="currentColor" stroke-width="1.5" fill="none"/><path d="M2 6.5 H15 M2 11 H15 M6.5 2 V15 M11 2 V15" stroke="currentColor" stroke-width="1" opacity="0.6"/></svg>`,
+									title: 'Rescale Axes',
+									closeOnActivate: true,
+									onActivate: () => {
+										this.openRescalePanel();
+									},
+								},
+								{
+									name: 'generateBreakpoints',
+									icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M2 14 H15" stroke="currentColor" stroke-width="1.5"/><path d="M3 14 V11 M5 14 V10 M8 14 V8 M12 14 V5" stroke="currentColor" stroke-width="1.5"/></svg>`,
+									title: 'Generate Breakpoints',
+									closeOnActivate: true,
+									onActivate: () => {
+										this.openBreakpointsPanel();
+									},
+								},
+							]
+						: []),
+				],
 			},
 		});
 
-		// Add automotive settings with submenu
+		// Add transpose and mirror with submenu
 		settings.push({
-			name: 'gradientColors',
-			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="1" y="1" width="4" height="15" fill="#0000ff"/><rect x="5" y="1" width="4" height="15" fill="#00ff00"/><rect x="9" y="1" width="4" height="15" fill="#ffff00"/><rect x="13" y="1" width="3" height="15" fill="#ff0000"/></svg>`,
-			label: 'Gradient Colors',
+			name: 'transform',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M3 14 L14 3" stroke="currentColor" stroke-width="1.5" stroke-dasharray="2 2"/><rect x="2" y="2" width="6" height="3" fill="currentColor"/><rect x="12" y="9" width="3" height="6" fill="currentColor"/></svg>`,
+			label: 'Transpose / Mirror',
 			children: {
 				items: [
 					{
-						name: 'thermal',
-						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><circle cx="8.5" cy="8.5" r="7" fill="rgb(0, 255, 0)"/></svg>`,
-						title: 'Thermal',
-						isActive:
-							this.data.gradientColors &&
-							this.data.colorScheme === 'THERMAL',
+						name: 'transpose',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M3 14 L14 3" stroke="currentColor" stroke-width="1.5" stroke-dasharray="2 2"/><rect x="2" y="2" width="6" height="3" fill="currentColor"/><rect x="12" y="9" width="3" height="6" fill="currentColor"/></svg>`,
+						title: 'Transpose',
 						closeOnActivate: true,
 						onActivate: () => {
-							this.data.gradientColors = true;
-							this.data.colorScheme = 'THERMAL';
-							this.table.setGradientColors(true);
-							this.table.setColorScheme('THERMAL');
+							this.transformTable('transpose');
 						},
 					},
 					{
-						name: 'automotive',
-						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><circle cx="8.5" cy="8.5" r="7" fill="rgb(255, 200, 60)"/></svg>`,
-						title: 'Automotive',
-						isActive:
-							this.data.gradientColors &&
-							this.data.colorScheme === 'AUTOMOTIVE',
+						name: 'mirrorHorizontal',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M8.5 2 V15" stroke="currentColor" stroke-width="1.5" stroke-dasharray="2 2"/><path d="M6 5 L2 8.5 L6 12 M11 5 L15 8.5 L11 12" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>`,
+						title: 'Mirror Horizontally',
 						closeOnActivate: true,
 						onActivate: () => {
-							this.data.gradientColors = true;
-							this.data.colorScheme = 'AUTOMOTIVE';
-							this.table.setGradientColors(true);
-							this.table.setColorScheme('AUTOMOTIVE');
+							this.transformTable('horizontal');
 						},
 					},
 					{
-						name: 'viridis',
-						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><circle cx="8.5" cy="8.5" r="7" fill="rgb(33, 145, 140)"/></svg>`,
-						title: 'Viridis',
-						isActive:
-							this.data.gradientColors &&
-							this.data.colorScheme === 'VIRIDIS',
+						name: 'mirrorVertical',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M2 8.5 H15" stroke="currentColor" stroke-width="1.5" stroke-dasharray="2 2"/><path d="M5 6 L8.5 2 L12 6 M5 11 L8.5 15 L12 11" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>`,
+						title: 'Mirror Vertically',
 						closeOnActivate: true,
 						onActivate: () => {
-							this.data.gradientColors = true;
-							this.data.colorScheme = 'VIRIDIS';
-							this.table.setGradientColors(true);
-							this.table.setColorScheme('VIRIDIS');
+							this.transformTable('vertical');
+						},
+					},
+				],
+			},
+		});
+
+		// Add number format panel
+		settings.push({
+			name: 'numberFormat',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><text x="8.5" y="12" font-size="8" text-anchor="middle" fill="currentColor">1,5</text></svg>`,
+			label: 'Number Format',
+			closeOnActivate: true,
+			onActivate: () => {
+				this.openNumberFormatPanel();
+			},
+		});
+
+		// Add units and the raw/physical view with submenu
+		settings.push({
+			name: 'units',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M2 12 H15 M4 12 V9 M7 12 V10 M10 12 V9 M13 12 V10" stroke="currentColor" stroke-width="1.5" fill="none"/><text x="8.5" y="7" font-size="6" text-anchor="middle" fill="currentColor">kPa</text></svg>`,
+			label: 'Units',
+			children: {
+				items: [
+					{
+						name: 'editUnits',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><text x="8.5" y="12" font-size="8" text-anchor="middle" fill="currentColor">rpm</text></svg>`,
+						title: 'Edit Units',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.openUnitsPanel();
 						},
 					},
 					{
-						name: 'grayscale',
-						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><circle cx="8.5" cy="8.5" r="7" fill="rgb(128, 128, 128)"/></svg>`,
-						title: 'Grayscale',
+						name: 'convertUnits',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M2 5 H13 M10 2 L13 5 L10 8 M15 12 H4 M7 9 L4 12 L7 15" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>`,
+						title: 'Convert Units',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.openConvertUnitsPanel();
+						},
+					},
+					...[
+						{ physical: false, title: 'View: Raw Values', symbol: '0x' },
+						{
+							physical: true,
+							title: 'View: Physical Values',
+							symbol: 'ms',
+						},
+					].map(({ physical, title, symbol }) => ({
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><text x="8.5" y="12" font-size="8" text-anchor="middle" fill="currentColor">${symbol}</text></svg>`,
+						title,
+						toggle: 'unitView',
+						isActive: Boolean(this.table.tunes.physicalView) === physical,
+						closeOnActivate: true,
+						onActivate: () => {
+							this.setPhysicalView(physical);
+						},
+					})),
+				],
+			},
+		});
+
+		settings.push({
+			label: this.data.stretched
+				? this.api.i18n.t('Collapse')
+				: this.api.i18n.t('Stretch'),
+			icon: this.data.stretched ? IconCollapse : IconStretch,
+			closeOnActivate: true,
+			toggle: true,
+			onActivate: () => {
+				this.data.stretched = !this.data.stretched;
+				this.block.stretched = this.data.stretched;
+			},
+		});
+
+		// Add automotive settings with submenu
+		settings.push({
+			name: 'gradientColors',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="1" y="1" width="4" height="15" fill="#0000ff"/><rect x="5" y="1" width="4" height="15" fill="#00ff00"/><rect x="9" y="1" width="4" height="15" fill="#ffff00"/><rect x="13" y="1" width="3" height="15" fill="#ff0000"/></svg>`,
+			label: 'Gradient Colors',
+			children: {
+				items: [
+					...Object.keys(COLOR_SCHEMES).map((scheme) => ({
+						name: scheme.toLowerCase(),
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><circle cx="8.5" cy="8.5" r="7" fill="${this.getSchemeColor(scheme)}"/></svg>`,
+						title: COLOR_SCHEMES[scheme].name,
 						isActive:
 							this.data.gradientColors &&
-							this.data.colorScheme === 'GRAYSCALE',
+							this.data.colorScheme === scheme,
 						closeOnActivate: true,
 						onActivate: () => {
 							this.data.gradientColors = true;
-							this.data.colorScheme = 'GRAYSCALE';
-							this.table.setGradientColors(true);
-							this.table.setColorScheme('GRAYSCALE');
+							this.data.colorScheme = scheme;
+							this.table.transact(() => {
+								this.table.setGradientColors(true);
+								this.table.setColorScheme(scheme);
+							});
 						},
-					},
+					})),
 					{
 						name: 'disable',
 						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><line x1="2" y1="2" x2="15" y2="15" stroke="currentColor" stroke-width="2"/><line x1="15" y1="2" x2="2" y2="15" stroke="currentColor" stroke-width="2"/></svg>`,
@@ -371,22 +652,76 @@ export default class TableBlock {
 						closeOnActivate: true,
 						onActivate: () => {
 							this.data.gradientColors = false;
-							this.table.setGradientColors(false);
+							this.table.transact(() =>
+								this.table.setGradientColors(false),
+							);
 						},
 					},
+					...[
+						{
+							normalization: 'global',
+							title: 'Normalize: Whole Map',
+							path: 'M2 2 H15 V15 H2 Z',
+						},
+						{
+							normalization: 'row',
+							title: 'Normalize: Per Row',
+							path: 'M2 3 H15 M2 8.5 H15 M2 14 H15',
+						},
+						{
+							normalization: 'column',
+							title: 'Normalize: Per Column',
+							path: 'M3 2 V15 M8.5 2 V15 M14 2 V15',
+						},
+					].map(({ normalization, title, path }) => ({
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="${path}" stroke="currentColor" stroke-width="2" fill="none"/></svg>`,
+						title,
+						toggle: 'gradientNormalization',
+						isActive: this.data.gradientNormalization === normalization,
+						closeOnActivate: true,
+						onActivate: () => {
+							this.data.gradientNormalization = normalization;
+							this.table.transact(() => {
+								this.table.setGradientNormalization(normalization);
+							});
+						},
+					})),
+					...[
+						{
+							scale: 'linear',
+							title: 'Scale: Linear',
+							path: 'M2 15 L15 2',
+						},
+						{
+							scale: 'log',
+							title: 'Scale: Logarithmic',
+							path: 'M2 15 C3 6 8 3 15 2',
+						},
+						{
+							scale: 'quantile',
+							title: 'Scale: Quantile',
+							path: 'M2 15 H5 V11 H8 V8 H11 V5 H15 V2',
+						},
+					].map(({ scale, title, path }) => ({
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="${path}" stroke="currentColor" stroke-width="2" fill="none"/></svg>`,
+						title,
+						toggle: 'gradientScale',
+						isActive: this.data.gradientScale === scale,
+						closeOnActivate: true,
+						onActivate: () => {
+							this.data.gradientScale = scale;
+							this.table.transact(() => {
+								this.table.setGradientScale(scale);
+							});
+						},
+					})),
 					{
-						name: 'skipHeadings',
-						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="1" y="1" width="15" height="3" fill="currentColor" opacity="0.3"/><rect x="1" y="5" width="3" height="11" fill="currentColor" opacity="0.3"/><rect x="5" y="5" width="11" height="11" fill="currentColor"/></svg>`,
-						title: 'Skip Headings',
-						toggle: true,
-						isActive: this.data.skipHeadings === true,
-						closeOnActivate: false,
+						name: 'gradientRange',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="1" y="6" width="15" height="5" fill="currentColor" opacity="0.5"/><path d="M2 3 V14 M15 3 V14 M8.5 4 V13" stroke="currentColor" stroke-width="1.5"/></svg>`,
+						title: 'Color Range',
+						closeOnActivate: true,
 						onActivate: () => {
-							this.data.skipHeadings = !this.data.skipHeadings;
-							this.table.tunes.skipHeadings = this.data.skipHeadings;
-							if (this.data.gradientColors) {
-								this.table.applyGradientColors();
-							}
+							this.openGradientRangePanel();
 						},
 					},
 				],
@@ -437,7 +772,7 @@ export default class TableBlock {
 						name: 'movingAverage',
 						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M2 12 L5 9 L8 10 L11 7 L14 8" stroke="currentColor" fill="none" stroke-width="2"/></svg>`,
 						title: 'Moving Average',
-						closeOnActivate: false,
+						closeOnActivate: true,
 						onActivate: () => {
 							this.applySmoothingMethod('movingAverage');
 						},
@@ -446,7 +781,7 @@ export default class TableBlock {
 						name: 'gaussian',
 						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M2 15 C4 15, 6 2, 8.5 2 C11 2, 13 15, 15 15" stroke="currentColor" fill="none" stroke-width="2"/></svg>`,
 						title: 'Gaussian',
-						closeOnActivate: false,
+						closeOnActivate: true,
 						onActivate: () => {
 							this.applySmoothingMethod('gaussian');
 						},
@@ -476,58 +811,971 @@ export default class TableBlock {
 			},
 		});
 
-		return settings;
-	}
+		// Add interpolation of the selected region with submenu
+		settings.push({
+			name: 'interpolate',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><circle cx="3" cy="13" r="2" fill="currentColor"/><circle cx="14" cy="4" r="2" fill="currentColor"/><path d="M3 13 L14 4" stroke="currentColor" stroke-width="1.5" stroke-dasharray="2 2"/></svg>`,
+			label: 'Interpolate',
+			children: {
+				items: [
+					{
+						name: 'interpolateRows',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M2 8.5 H15 M11 5 L15 8.5 L11 12" stroke="currentColor" fill="none" stroke-width="2"/></svg>`,
+						title: 'Horizontal (Rows)',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.interpolateSelection('row');
+						},
+					},
+					{
+						name: 'interpolateColumns',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M8.5 2 V15 M5 11 L8.5 15 L12 11" stroke="currentColor" fill="none" stroke-width="2"/></svg>`,
+						title: 'Vertical (Columns)',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.interpolateSelection('column');
+						},
+					},
+					{
+						name: 'interpolateBilinear',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><circle cx="3" cy="3" r="2" fill="currentColor"/><circle cx="14" cy="3" r="2" fill="currentColor"/><circle cx="3" cy="14" r="2" fill="currentColor"/><circle cx="14" cy="14" r="2" fill="currentColor"/><circle cx="8.5" cy="8.5" r="1.5" fill="currentColor" opacity="0.5"/></svg>`,
+						title: 'Bilinear (Corners)',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.interpolateSelection('bilinear');
+						},
+					},
+				],
+			},
+		});
 
-	/**
-	 * Get a representative color for a color scheme
-	 * @param {string} scheme - scheme name
-	 * @returns {string} - hex color
-	 */
-	getSchemeColor(scheme) {
-		const colors = COLOR_SCHEMES[scheme].colors;
-		const midColor = colors[Math.floor(colors.length / 2)].color;
-		return `rgb(${midColor[0]}, ${midColor[1]}, ${midColor[2]})`;
-	}
+		// Add bulk arithmetic on the selected cells with submenu
+		settings.push({
+			name: 'editSelection',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="2" y="2" width="13" height="13" stroke="currentColor" stroke-width="1.5" stroke-dasharray="2 2" fill="none"/><path d="M8.5 5 V12 M5 8.5 H12" stroke="currentColor" stroke-width="1.5"/></svg>`,
+			label: 'Edit Selection',
+			children: {
+				items: [
+					{
+						name: 'addOffset',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M8.5 3 V14 M3 8.5 H14" stroke="currentColor" stroke-width="2"/></svg>`,
+						title: 'Add Offset',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.applyBulkOperation('add');
+						},
+					},
+					{
+						name: 'scalePercent',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><text x="8.5" y="13" font-size="12" text-anchor="middle" fill="currentColor">%</text></svg>`,
+						title: 'Scale by %',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.applyBulkOperation('scale');
+						},
+					},
+					{
+						name: 'setValue',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M3 6 H14 M3 11 H14" stroke="currentColor" stroke-width="2"/></svg>`,
+						title: 'Set Value',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.applyBulkOperation('set');
+						},
+					},
+				],
+			},
+		});
 
-	/**
-	 * Apply smoothing method to table data
-	 * @param {string} method - smoothing method name
-	 */
-	applySmoothingMethod(method) {
-		const content = this.table.getData();
-		let smoothedContent;
+		// Add cell locking with submenu
+		settings.push({
+			name: 'lockCells',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="3" y="8" width="11" height="7" rx="1" fill="currentColor"/><path d="M5.5 8 V5.5 a3 3 0 0 1 6 0 V8" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>`,
+			label: 'Lock Cells',
+			children: {
+				items: [
+					{
+						name: 'lockSelection',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="3" y="8" width="11" height="7" rx="1" fill="currentColor"/><path d="M5.5 8 V5.5 a3 3 0 0 1 6 0 V8" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>`,
+						title: 'Lock Selection',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.table.setSelectionLocked(true);
+						},
+					},
+					{
+						name: 'unlockSelection',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><rect x="3" y="8" width="11" height="7" rx="1" fill="currentColor"/><path d="M5.5 8 V5.5 a3 3 0 0 1 6 0" stroke="currentColor" stroke-width="1.5" fill="none"/></svg>`,
+						title: 'Unlock Selection',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.table.setSelectionLocked(false);
+						},
+					},
+					{
+						name: 'unlockAll',
+						icon: IconTableWithoutHeadings,
+						title: 'Unlock All',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.table.unlockAll();
+						},
+					},
+				],
+			},
+		});
 
-		const skipFirstRow =
-			this.data.skipHeadings &&
-			(this.data.withHeadings === 'row' || this.data.withHeadings === 'both');
-		const skipFirstCol =
-			this.data.skipHeadings &&
-			(this.data.withHeadings === 'column' ||
-				this.data.withHeadings === 'both');
+		// Add CSV/TSV import and export with submenu
+		settings.push({
+			name: 'importExport',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M8.5 2 V11 M5 7.5 L8.5 11 L12 7.5" stroke="currentColor" fill="none" stroke-width="1.5"/><path d="M2 12 V15 H15 V12" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>`,
+			label: 'Import / Export',
+			children: {
+				items: [
+					...[
+						{ delimiter: ',', symbol: ',', title: 'Delimiter: Comma' },
+						{
+							delimiter: ';',
+							symbol: ';',
+							title: 'Delimiter: Semicolon',
+						},
+						{
+							delimiter: '\t',
+							symbol: '⇥',
+							title: 'Delimiter: Tab (TSV)',
+						},
+					].map(({ delimiter, symbol, title }) => ({
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><text x="8.5" y="13" font-size="12" text-anchor="middle" fill="currentColor">${symbol}</text></svg>`,
+						title,
+						toggle: 'csvDelimiter',
+						isActive: this.csvOptions.delimiter === delimiter,
+						closeOnActivate: false,
+						onActivate: () => {
+							this.csvOptions.delimiter = delimiter;
+						},
+					})),
+					...[
+						{ decimalSeparator: '.', title: 'Decimal: Point' },
+						{ decimalSeparator: ',', title: 'Decimal: Comma' },
+					].map(({ decimalSeparator, title }) => ({
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><text x="8.5" y="12" font-size="9" text-anchor="middle" fill="currentColor">1${decimalSeparator}5</text></svg>`,
+						title,
+						toggle: 'csvDecimalSeparator',
+						isActive:
+							this.csvOptions.decimalSeparator === decimalSeparator,
+						closeOnActivate: false,
+						onActivate: () => {
+							this.csvOptions.decimalSeparator = decimalSeparator;
+						},
+					})),
+					{
+						name: 'exportFile',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M8.5 11 V2 M5 5.5 L8.5 2 L12 5.5" stroke="currentColor" fill="none" stroke-width="1.5"/><path d="M2 12 V15 H15 V12" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>`,
+						title: 'Export File',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.exportDelimited();
+						},
+					},
+					{
+						name: 'importFile',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M8.5 2 V11 M5 7.5 L8.5 11 L12 7.5" stroke="currentColor" fill="none" stroke-width="1.5"/><path d="M2 12 V15 H15 V12" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>`,
+						title: 'Import File',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.importDelimited();
+						},
+					},
+				],
+			},
+		});
 
-		switch (method) {
-			case 'movingAverage':
-				const windowSize = prompt(
-					'Enter window size (odd number, e.g., 3, 5, 7):',
-					'3',
-				);
-				if (windowSize === null) return;
-				smoothedContent = applyMovingAverage(
-					content,
-					parseInt(windowSize) || 3,
-					skipFirstRow,
-					skipFirstCol,
-				);
-				break;
-			case 'gaussian':
-				const sigma = prompt('Enter sigma value (e.g., 1.0):', '1.0');
-				if (sigma === null) return;
+		// Datalog overlay with submenu, the log itself is not saved with the block
+		const datalog = this.table.datalog;
+
+		settings.push({
+			name: 'datalog',
+			icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M2 14 L6 8 L9 11 L15 3" stroke="currentColor" fill="none" stroke-width="1.5"/><circle cx="6" cy="8" r="1.2" fill="currentColor"/><circle cx="9" cy="11" r="1.2" fill="currentColor"/></svg>`,
+			label: 'Datalog',
+			children: {
+				items: [
+					{
+						name: 'loadDatalog',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M8.5 2 V11 M5 7.5 L8.5 11 L12 7.5" stroke="currentColor" fill="none" stroke-width="1.5"/><path d="M2 12 V15 H15 V12" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>`,
+						title: 'Load Datalog',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.importDatalog();
+						},
+					},
+					...[
+						{ view: 'hits', symbol: 'n', title: 'Show Hits' },
+						{ view: 'mean', symbol: 'x̄', title: 'Show Mean' },
+						{ view: 'both', symbol: 'x̄n', title: 'Show Mean and Hits' },
+					].map(({ view, symbol, title }) => ({
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><text x="8.5" y="12" font-size="9" text-anchor="middle" fill="currentColor">${symbol}</text></svg>`,
+						title,
+						toggle: 'datalogView',
+						isActive: datalog ? datalog.view === view : view === 'both',
+						closeOnActivate: false,
+						onActivate: () => {
+							this.table.setDatalogView(view);
+						},
+					})),
+					{
+						name: 'clearDatalog',
+						icon: `<svg width="17" height="17" viewBox="0 0 17 17" xmlns="http://www.w3.org/2000/svg"><path d="M4 4 L13 13 M13 4 L4 13" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>`,
+						title: 'Clear Datalog',
+						closeOnActivate: true,
+						onActivate: () => {
+							this.table.clearDatalog();
+						},
+					},
+				],
+			},
+		});
+
+		return settings;
+	}
+
+	/**
+	 * Turn the axis breakpoint row/column on or off
+	 *
+	 * @param {boolean} withX - first row holds X axis breakpoints
+	 * @param {boolean} withY - first column holds Y axis breakpoints
+	 */
+	setAxes(withX, withY) {
+		if (withX && withY) {
+			this.data.axes = 'both';
+		} else if (withX) {
+			this.data.axes = 'x';
+		} else if (withY) {
+			this.data.axes = 'y';
+		} else {
+			this.data.axes = false;
+		}
+
+		this.table.transact(() => {
+			this.table.setAxesSetting(this.data.axes);
+
+			// Breakpoints leave or join the gradient range
+			if (this.data.gradientColors) {
+				this.table.applyGradientColors();
+			}
+		});
+	}
+
+	/**
+	 * Open the panel for the values at the ends of the color scale
+	 */
+	openGradientRangePanel() {
+		const { mode, min, max, center } = this.table.tunes.gradientRange;
+
+		this.openPanel({
+			title: 'Color Range',
+			fields: [
+				{
+					name: 'mode',
+					label: 'Range',
+					type: 'select',
+					value: mode,
+					options: [
+						{ value: 'auto', label: 'Auto (map min/max)' },
+						{ value: 'fixed', label: 'Fixed min/max' },
+						{ value: 'centered', label: 'Centered' },
+					],
+				},
+				{ name: 'min', label: 'Min', value: min, step: 'any' },
+				{ name: 'max', label: 'Max', value: max, step: 'any' },
+				{ name: 'center', label: 'Center', value: center, step: 'any' },
+			],
+			onApply: (values) => {
+				if (values.mode === 'fixed' && values.min >= values.max) {
+					this.panel.showError('Min must be lower than max');
+
+					return false;
+				}
+
+				this.table.transact(() => {
+					this.table.setGradientRange(values);
+				});
+			},
+		});
+	}
+
+	/**
+	 * Open the panel for the separators, suffixes and decimals of the cell numbers
+	 */
+	openNumberFormatPanel() {
+		const {
+			decimalSeparator,
+			thousandsSeparator,
+			suffixes,
+			decimals,
+			minDecimals,
+			grouping,
+			notation,
+			bits,
+		} = this.table.tunes.numberFormat;
+
+		this.openPanel({
+			title: 'Number Format',
+			fields: [
+				{
+					name: 'decimalSeparator',
+					label: 'Decimal Separator',
+					type: 'select',
+					value: decimalSeparator,
+					options: [
+						{ value: '.', label: 'Point (1.5)' },
+						{ value: ',', label: 'Comma (1,5)' },
+					],
+				},
+				{
+					name: 'thousandsSeparator',
+					label: 'Thousands Separator',
+					type: 'select',
+					value: thousandsSeparator,
+					options: [
+						{ value: '', label: 'None (1200)' },
+						{ value: ',', label: 'Comma (1,200)' },
+						{ value: '.', label: 'Point (1.200)' },
+						{ value: ' ', label: 'Space (1 200)' },
+						{ value: "'", label: "Apostrophe (1'200)" },
+					],
+				},
+				{
+					name: 'grouping',
+					label: 'Grouping',
+					type: 'select',
+					value: grouping ? 'on' : 'off',
+					options: [
+						{ value: 'off', label: 'Off' },
+						{ value: 'on', label: 'Write thousands separators' },
+					],
+				},
+				{
+					name: 'suffixes',
+					label: 'Suffixes (e.g. %, ms)',
+					type: 'text',
+					value: suffixes.join(', '),
+				},
+				{
+					name: 'decimals',
+					label: 'Decimals',
+					type: 'select',
+					value: decimals === null ? 'auto' : String(decimals),
+					options: [
+						{ value: 'auto', label: 'Keep precision' },
+						...[0, 1, 2, 3, 4, 5, 6].map((places) => ({
+							value: String(places),
+							label: `Fixed ${places}`,
+						})),
+					],
+				},
+				{
+					name: 'minDecimals',
+					label: 'Minimum Decimals',
+					value: minDecimals,
+					min: 0,
+					max: 10,
+					step: 1,
+				},
+				{
+					name: 'notation',
+					label: 'Raw Values',
+					type: 'select',
+					value: notation,
+					options: [
+						{ value: 'decimal', label: 'Decimal' },
+						{ value: 'hex', label: 'Hexadecimal (0x1A3F)' },
+						{ value: 'unsigned', label: 'Unsigned integer' },
+						{ value: 'signed', label: 'Signed integer' },
+					],
+				},
+				{
+					name: 'bits',
+					label: 'Integer Width',
+					type: 'select',
+					value: String(bits),
+					options: BIT_WIDTHS.map((width) => ({
+						value: String(width),
+						label: `${width} bit`,
+					})),
+				},
+			],
+			onApply: (values) => {
+				if (values.decimalSeparator === values.thousandsSeparator) {
+					this.panel.showError(
+						'Decimal and thousands separators must differ',
+					);
+
+					return false;
+				}
+
+				if (values.grouping === 'on' && !values.thousandsSeparator) {
+					this.panel.showError('Grouping needs a thousands separator');
+
+					return false;
+				}
+
+				const format = normalizeNumberFormat({
+					decimalSeparator: values.decimalSeparator,
+					thousandsSeparator: values.thousandsSeparator,
+					grouping: values.grouping === 'on',
+					suffixes: values.suffixes.split(/[,;]/),
+					decimals:
+						values.decimals === 'auto' ? null : Number(values.decimals),
+					minDecimals: Math.round(values.minDecimals),
+					notation: values.notation,
+					bits: Number(values.bits),
+				});
+				this.table.transact(() => {
+					this.table.setNumberFormat(format);
+				});
+			},
+		});
+	}
+
+	/**
+	 * Open the panel for the units and the raw to physical conversions of the axes and the values
+	 */
+	openUnitsPanel() {
+		const dimensions = [
+			{ name: 'x', label: 'X Axis' },
+			{ name: 'y', label: 'Y Axis' },
+			{ name: 'value', label: 'Value' },
+		];
+		const fields = [];
+
+		dimensions.forEach(({ name, label }) => {
+			const { unit, factor, offset } = this.table.tunes.units[name];
+
+			fields.push(
+				{
+					name: `${name}Unit`,
+					label: `${label} Unit`,
+					type: 'text',
+					value: unit,
+				},
+				{
+					name: `${name}Factor`,
+					label: `${label} Factor`,
+					value: factor,
+					step: 'any',
+				},
+				{
+					name: `${name}Offset`,
+					label: `${label} Offset`,
+					value: offset,
+					step: 'any',
+				},
+			);
+		});
+
+		this.openPanel({
+			title: 'Units',
+			fields,
+			onApply: (values) => {
+				if (dimensions.some(({ name }) => values[`${name}Factor`] === 0)) {
+					this.panel.showError('Factors must not be zero');
+
+					return false;
+				}
+
+				const units = {};
+
+				dimensions.forEach(({ name }) => {
+					units[name] = {
+						unit: values[`${name}Unit`],
+						factor: values[`${name}Factor`],
+						offset: values[`${name}Offset`],
+					};
+				});
+
+				this.table.transact(() => {
+					this.table.setUnits(units);
+				});
+			},
+		});
+	}
+
+	/**
+	 * Open the panel converting the map values or an axis into another unit
+	 * The conversion starts from the unit the dimension has, dimensions without a convertible unit are not offered
+	 * The values are rewritten and the unit of the dimension is set to the new one
+	 */
+	openConvertUnitsPanel() {
+		const { units: current } = this.table.tunes;
+		const targets = [
+			{ value: 'value', label: 'Map Values', isShown: true },
+			{ value: 'x', label: 'X Axis', isShown: hasXAxis(this.data.axes) },
+			{ value: 'y', label: 'Y Axis', isShown: hasYAxis(this.data.axes) },
+		]
+			.filter(
+				({ value, isShown }) =>
+					isShown && findQuantity(current[value].unit) !== null,
+			)
+			.map(({ value, label }) => ({
+				value,
+				label: `${label} (${current[value].unit})`,
+			}));
+
+		if (!targets.length) {
+			const message =
+				'Set a pressure, temperature, mixture or fuel unit in "Units" first';
+
+			this.openPanel({
+				title: 'Convert Units',
+				fields: [],
+				onApply: () => {
+					this.panel.showError(message);
+
+					return false;
+				},
+			});
+			this.panel.showError(message);
+
+			return;
+		}
+
+		const units = [];
+
+		Object.values(UNIT_QUANTITIES).forEach((quantity) => {
+			Object.keys(quantity.units).forEach((unit) => {
+				units.push({ value: unit, label: `${unit} (${quantity.name})` });
+			});
+		});
+
+		const first = current[targets[0].value].unit;
+
+		this.openPanel({
+			title: 'Convert Units',
+			fields: [
+				{
+					name: 'dimension',
+					label: 'Convert',
+					type: 'select',
+					value: targets[0].value,
+					options: targets,
+				},
+				{
+					name: 'to',
+					label: 'To',
+					type: 'select',
+					value:
+						Object.keys(UNIT_QUANTITIES[findQuantity(first)].units).find(
+							(unit) => unit !== first,
+						) || first,
+					options: units,
+				},
+				{
+					name: 'fuel',
+					label: 'Fuel (λ/AFR)',
+					type: 'select',
+					value: 'gasoline',
+					options: Object.entries(FUELS).map(([key, fuel]) => ({
+						value: key,
+						label: `${fuel.name} (${fuel.stoich})`,
+					})),
+				},
+				{
+					name: 'injectorRate',
+					label: 'Injector Rate (mg/ms)',
+					value: 6.8,
+					min: 0,
+					step: 'any',
+				},
+			],
+			onApply: ({ dimension, to, fuel, injectorRate }) => {
+				// Always the unit the dimension has, an rpm axis is never converted as kPa
+				const from = current[dimension].unit;
+
+				if (findQuantity(to) === 'fuelMass' && !(injectorRate > 0)) {
+					this.panel.showError('Injector rate must be greater than zero');
+
+					return false;
+				}
+
+				const conversion = getUnitConversion(from, to, {
+					stoich: FUELS[fuel].stoich,
+					injectorRate,
+				});
+
+				if (!conversion) {
+					this.panel.showError(`${from} can't be converted to ${to}`);
+
+					return false;
+				}
+
+				this.table.transact(() => {
+					this.table.convertUnits(dimension, conversion, to);
+				});
+			},
+		});
+	}
+
+	/**
+	 * Show the cells as physical values or as the raw counts they are saved as
+	 *
+	 * @param {boolean} enabled - true shows physical values
+	 */
+	setPhysicalView(enabled) {
+		this.table.transact(() => {
+			this.table.setPhysicalView(enabled);
+		});
+	}
+
+	/**
+	 * Transpose or mirror the table as one undo step
+	 * Headings, axes and axis titles move with the cells, so the saved settings follow the table
+	 *
+	 * @param {string} operation - 'transpose', 'horizontal' or 'vertical'
+	 */
+	transformTable(operation) {
+		let done = false;
+
+		this.table.transact(() => {
+			done =
+				operation === 'transpose'
+					? this.table.transpose()
+					: this.table.mirror(operation);
+		});
+
+		if (!done) {
+			this.table.showNotice(
+				this.api.i18n.t(
+					operation === 'transpose'
+						? 'The transposed table would exceed the maximum number of rows or columns'
+						: 'Breakpoints must stay in increasing order. Turn off the axis to mirror its values',
+				),
+			);
+
+			return;
+		}
+
+		const tunes = this.table.getTunes();
+
+		this.data.withHeadings = tunes.withHeadings;
+		this.data.axes = tunes.axes;
+		this.data.horizontalTitle = tunes.horizontalTitle;
+		this.data.verticalTitle = tunes.verticalTitle;
+	}
+
+	/**
+	 * Open the panel for new axis breakpoints, the map is re-interpolated onto them
+	 * A breakpoint list can be typed, or a new size spreads the breakpoints evenly over the current range
+	 */
+	openRescalePanel() {
+		const { xAxis, yAxis } = this.table.getMapData();
+		const fields = [];
+		const axes = [
+			{
+				name: 'x',
+				label: 'X',
+				axis: xAxis,
+				enabled: hasXAxis(this.data.axes),
+			},
+			{
+				name: 'y',
+				label: 'Y',
+				axis: yAxis,
+				enabled: hasYAxis(this.data.axes),
+			},
+		].filter(({ enabled }) => enabled);
+
+		axes.forEach(({ name, label, axis }) => {
+			fields.push(
+				{
+					name: `${name}Breakpoints`,
+					label: `${label} breakpoints`,
+					type: 'text',
+					value: formatBreakpointList(axis, this.table.getNumberFormat()),
+				},
+				{
+					name: `${name}Size`,
+					label: `${label} size`,
+					value: axis.length,
+					min: 1,
+					step: 1,
+				},
+			);
+		});
+
+		this.openPanel({
+			title: 'Rescale Axes',
+			fields,
+			onApply: (values) => {
+				const newAxes = {};
+
+				axes.forEach(({ name, axis }) => {
+					const typed = parseBreakpointList(
+						values[`${name}Breakpoints`],
+						this.table.getNumberFormat(),
+					);
+					const size = Math.round(values[`${name}Size`]);
+
+					// A new size without a new list keeps the first and last breakpoint
+					if (typed.join() === axis.join() && size !== axis.length) {
+						newAxes[name] = generateBreakpoints({
+							start: axis[0],
+							end: axis[axis.length - 1],
+							count: Math.max(size, 1),
+						});
+					} else {
+						newAxes[name] = typed;
+					}
+				});
+
+				const invalid = Object.values(newAxes).some(
+					(axis) => !axis.length || getAxisErrors(axis).length > 0,
+				);
+
+				if (invalid) {
+					this.panel.showError(
+						'Breakpoints must be numbers in strictly increasing order',
+					);
+
+					return false;
+				}
+
+				const locked = this.table.getLockedBreakpoints();
+				const dropsLocked = ['x', 'y'].some(
+					(name) =>
+						newAxes[name] &&
+						locked[name].some((value) => !newAxes[name].includes(value)),
+				);
+
+				if (dropsLocked) {
+					this.panel.showError(
+						'Keep the breakpoints of locked cells or unlock them first',
+					);
+
+					return false;
+				}
+
+				let resampled = false;
+
+				this.table.transact(() => {
+					resampled = this.table.resample(
+						newAxes.x || null,
+						newAxes.y || null,
+					);
+				});
+
+				if (!resampled) {
+					this.panel.showError(
+						'Fix the current breakpoints of the table before rescaling',
+					);
+
+					return false;
+				}
+			},
+		});
+	}
+
+	/**
+	 * Open the panel filling an axis with generated breakpoints
+	 * The table grows or shrinks to the number of breakpoints, map values are not moved
+	 */
+	openBreakpointsPanel() {
+		const { xAxis, yAxis } = this.table.getMapData();
+		const withX = hasXAxis(this.data.axes);
+		const getDefaults = (axis) => {
+			const current = axis === 'x' ? xAxis : yAxis;
+			const numbers = current.filter((value) => value !== null);
+
+			return {
+				start: numbers[0] || 0,
+				end: numbers.length ? numbers[numbers.length - 1] : 100,
+				count: current.length,
+			};
+		};
+		const defaults = getDefaults(withX ? 'x' : 'y');
+		const fields = [];
+		let selectedAxis = withX ? 'x' : 'y';
+
+		if (this.data.axes === 'both') {
+			fields.push({
+				name: 'axis',
+				label: 'Axis',
+				type: 'select',
+				value: 'x',
+				options: [
+					{ value: 'x', label: 'X (1st row)' },
+					{ value: 'y', label: 'Y (1st column)' },
+				],
+			});
+		}
+
+		fields.push(
+			{
+				name: 'spacing',
+				label: 'Spacing',
+				type: 'select',
+				value: 'linear',
+				options: [
+					{ value: 'linear', label: 'Linear' },
+					{ value: 'log', label: 'Logarithmic' },
+					{ value: 'geometric', label: 'Geometric' },
+				],
+			},
+			{ name: 'start', label: 'Start', value: defaults.start, step: 'any' },
+			{ name: 'end', label: 'End', value: defaults.end, step: 'any' },
+			{
+				name: 'count',
+				label: 'Count',
+				value: defaults.count,
+				min: 1,
+				step: 1,
+			},
+			{ name: 'ratio', label: 'Step ratio', value: 1.2, min: 0, step: 0.05 },
+			{ name: 'step', label: 'Round to', value: 0, min: 0, step: 'any' },
+		);
+
+		this.openPanel({
+			title: 'Generate Breakpoints',
+			fields,
+			// Start, end and count follow the axis picked in the panel
+			onChange: (values) => {
+				if (values.axis && values.axis !== selectedAxis) {
+					selectedAxis = values.axis;
+					this.panel.setValues(getDefaults(selectedAxis));
+				}
+			},
+			onApply: (values) => {
+				const axis = values.axis || (withX ? 'x' : 'y');
+				const breakpoints = generateBreakpoints({
+					start: values.start,
+					end: values.end,
+					count: Math.round(values.count),
+					spacing: values.spacing,
+					ratio: values.ratio,
+					step: values.step,
+				});
+
+				if (!breakpoints.length) {
+					this.panel.showError(
+						'Logarithmic spacing needs positive start and end values',
+					);
+
+					return false;
+				}
+
+				if (getAxisErrors(breakpoints).length) {
+					this.panel.showError(
+						`Breakpoints are not strictly increasing: ${breakpoints.join(', ')}`,
+					);
+
+					return false;
+				}
+
+				this.table.transact(() => {
+					this.table.setAxisBreakpoints(axis, breakpoints);
+				});
+			},
+		});
+	}
+
+	/**
+	 * Get a representative color for a color scheme, shown in its tune menu icon
+	 * @param {string} scheme - scheme name
+	 * @returns {string} - RGB color string
+	 */
+	getSchemeColor(scheme) {
+		const colors = COLOR_SCHEMES[scheme].colors;
+		const midColor = colors[Math.floor(colors.length / 2)].color;
+		return `rgb(${midColor[0]}, ${midColor[1]}, ${midColor[2]})`;
+	}
+
+	/**
+	 * Open the parameter panel of a smoothing method
+	 * The result is previewed on the table while the parameters are changed
+	 * With a range selected only the selected cells are smoothed
+	 *
+	 * @param {string} method - smoothing method name
+	 */
+	applySmoothingMethod(method) {
+		const strength = {
+			name: 'strength',
+			label: 'Strength',
+			type: 'range',
+			value: 100,
+			min: 0,
+			max: 100,
+			step: 5,
+			unit: '%',
+		};
+		const fields = {
+			movingAverage: [
+				{
+					name: 'windowSize',
+					label: 'Window size',
+					value: 3,
+					min: 3,
+					step: 2,
+				},
+				strength,
+			],
+			gaussian: [
+				{ name: 'sigma', label: 'Sigma', value: 1, min: 0.1, step: 0.1 },
+				strength,
+			],
+			bilinear: [strength],
+		};
+		const titles = {
+			movingAverage: 'Moving Average',
+			gaussian: 'Gaussian Smoothing',
+			bilinear: 'Bilinear Smoothing',
+		};
+
+		this.openPanel({
+			title: this.getSelectedRegion()
+				? `${titles[method]} (Selection)`
+				: titles[method],
+			fields: fields[method],
+			preview: (values) => this.getSmoothedContent(method, values),
+			onApply: (values) => {
+				this.writeContent(this.getSmoothedContent(method, values));
+			},
+		});
+	}
+
+	/**
+	 * Smooth the table content without changing the table
+	 *
+	 * @param {string} method - smoothing method name
+	 * @param {object} params - panel values: windowSize, sigma, strength (percent)
+	 * @returns {string[][]} - content in the Table.getGridContent() layout
+	 */
+	getSmoothedContent(method, params) {
+		const content = this.table.getGridContent();
+		const { skipFirstRow, skipFirstCol } = this.table.getHeadingSkips();
+		const region = this.getSelectedRegion();
+		const locked = this.table.getLockMask();
+		let smoothedContent = content;
+
+		switch (method) {
+			case 'movingAverage':
+				smoothedContent = applyMovingAverage(
+					content,
+					Math.max(Math.round(params.windowSize), 1),
+					skipFirstRow,
+					skipFirstCol,
+					region,
+					locked,
+					this.table.getNumberFormat(),
+				);
+				break;
+			case 'gaussian':
 				smoothedContent = applyGaussianSmoothing(
 					content,
-					parseFloat(sigma) || 1.0,
+					params.sigma > 0 ? params.sigma : 1.0,
 					skipFirstRow,
 					skipFirstCol,
+					region,
+					locked,
+					this.table.getNumberFormat(),
 				);
 				break;
 			case 'bilinear':
@@ -535,15 +1783,35 @@ export default class TableBlock {
 					content,
 					skipFirstRow,
 					skipFirstCol,
+					region,
+					locked,
+					this.table.getNumberFormat(),
 				);
 				break;
 		}
 
-		if (smoothedContent) {
-			// Apply smoothed content to table
-			for (let i = 0; i < smoothedContent.length; i++) {
-				for (let j = 0; j < smoothedContent[i].length; j++) {
-					this.table.setCellContent(i + 1, j + 1, smoothedContent[i][j]);
+		return blendContent(
+			content,
+			smoothedContent,
+			params.strength / 100,
+			this.table.getNumberFormat(),
+		);
+	}
+
+	/**
+	 * Write changed cells as one undo step
+	 *
+	 * @param {string[][]} content - content in the Table.getGridContent() layout
+	 */
+	writeContent(content) {
+		const current = this.table.getGridContent();
+
+		this.table.transact(() => {
+			for (let i = 0; i < content.length; i++) {
+				for (let j = 0; j < content[i].length; j++) {
+					if (content[i][j] !== current[i][j]) {
+						this.table.setCellContent(i + 1, j + 1, content[i][j]);
+					}
 				}
 			}
 
@@ -551,38 +1819,428 @@ export default class TableBlock {
 			if (this.data.gradientColors) {
 				this.table.applyGradientColors();
 			}
+		});
+	}
+
+	/**
+	 * Show a parameter panel under the table, replacing the one already open
+	 *
+	 * @param {object} options - panel options
+	 * @param {string} options.title - panel heading
+	 * @param {import('./utils/panel').PanelField[]} options.fields - parameters
+	 * @param {function(object): string[][]} [options.preview] - content to preview for the values
+	 * @param {function(object): void} [options.onChange] - called with the values on every change, before the preview
+	 * @param {function(object): (boolean|void)} options.onApply - called with the values on Apply, returns false to keep the panel open
+	 */
+	openPanel({ title, fields, preview, onChange, onApply }) {
+		this.closePanel();
+
+		const showPreview = (values) => {
+			this.table.showPreview(preview(values));
+		};
+
+		this.panel = new Panel({
+			title,
+			fields,
+			onChange: (values) => {
+				if (onChange) {
+					onChange(values);
+				}
+
+				if (preview) {
+					showPreview(this.panel.getValues());
+				}
+			},
+			onApply: (values) => {
+				if (onApply(values) !== false) {
+					this.closePanel();
+				}
+			},
+			onCancel: () => this.closePanel(),
+		});
+
+		this.container.appendChild(this.panel.render());
+		this.panel.focus();
+
+		if (preview) {
+			showPreview(this.panel.getValues());
+		}
+	}
+
+	/**
+	 * Close the parameter panel and its preview
+	 */
+	closePanel() {
+		if (!this.panel) {
+			return;
 		}
+
+		this.panel.close();
+		this.panel = null;
+		this.table.clearPreview();
 	}
 
 	/**
-	 * Apply auto-fill to blank cells
+	 * Apply auto-fill to blank cells, only to the selected ones when a range is selected
 	 */
 	applyAutoFill() {
-		const content = this.table.getData();
-
-		const skipFirstRow =
-			this.data.skipHeadings &&
-			(this.data.withHeadings === 'row' || this.data.withHeadings === 'both');
-		const skipFirstCol =
-			this.data.skipHeadings &&
-			(this.data.withHeadings === 'column' ||
-				this.data.withHeadings === 'both');
-
-		const filledContent = autoFillBlanks(content, skipFirstRow, skipFirstCol);
-
-		// Apply filled content to table
-		for (let i = 0; i < filledContent.length; i++) {
-			for (let j = 0; j < filledContent[i].length; j++) {
-				if (filledContent[i][j] !== content[i][j]) {
-					this.table.setCellContent(i + 1, j + 1, filledContent[i][j]);
-				}
+		const content = this.table.getGridContent();
+		const { skipFirstRow, skipFirstCol } = this.table.getHeadingSkips();
+
+		const filledContent = autoFillBlanks(
+			content,
+			skipFirstRow,
+			skipFirstCol,
+			this.getSelectedRegion(),
+			this.table.getLockMask(),
+			this.table.getNumberFormat(),
+		);
+
+		this.writeContent(filledContent);
+	}
+
+	/**
+	 * Overwrite the selected region (the whole map without a range selection) with a ramp between its edges
+	 * Follows the breakpoint spacing when axes are on
+	 *
+	 * @param {string} mode - 'row', 'column' or 'bilinear'
+	 */
+	interpolateSelection(mode) {
+		const content = this.table.getGridContent();
+		const { skipFirstRow, skipFirstCol } = this.table.getHeadingSkips();
+		const region = this.getSelectedRegion() || {
+			fromRow: 0,
+			toRow: content.length - 1,
+			fromColumn: 0,
+			toColumn: content[0].length - 1,
+		};
+
+		// Breakpoints and skipped headings are not interpolated
+		region.fromRow = Math.max(region.fromRow, skipFirstRow ? 1 : 0);
+		region.fromColumn = Math.max(region.fromColumn, skipFirstCol ? 1 : 0);
+
+		if (
+			region.fromRow > region.toRow ||
+			region.fromColumn > region.toColumn
+		) {
+			return;
+		}
+
+		this.writeContent(
+			interpolateRegion(
+				content,
+				region,
+				mode,
+				this.table.getGridPositions(),
+				this.table.getLockMask(),
+				this.table.getNumberFormat(),
+			),
+		);
+	}
+
+	/**
+	 * Region of a range selection, smoothing and auto-fill work on the whole table without one
+	 *
+	 * @returns {import('./utils/automotive').Region|undefined} - 0-based content indexes
+	 */
+	getSelectedRegion() {
+		if (!this.table.isRangeSelected()) {
+			return undefined;
+		}
+
+		const { fromRow, toRow, fromColumn, toColumn } =
+			this.table.getSelection();
+
+		return {
+			fromRow: fromRow - 1,
+			toRow: toRow - 1,
+			fromColumn: fromColumn - 1,
+			toColumn: toColumn - 1,
+		};
+	}
+
+	/**
+	 * Open the panel asking for the operand of an arithmetic operation on the selected cells
+	 *
+	 * @param {string} operation - 'add', 'scale' or 'set'
+	 */
+	applyBulkOperation(operation) {
+		const fields = {
+			add: { title: 'Add Offset', label: 'Offset', value: 0, step: 'any' },
+			scale: {
+				title: 'Scale by %',
+				label: 'Percent',
+				value: 0,
+				step: 'any',
+			},
+			set: { title: 'Set Value', label: 'Value', value: 0, step: 'any' },
+		};
+		const { title, ...field } = fields[operation];
+
+		this.openPanel({
+			title,
+			fields: [{ name: 'operand', ...field }],
+			preview: ({ operand }) =>
+				this.table.getSelectionResult(operation, operand),
+			onApply: ({ operand }) => {
+				this.table.applyToSelection(operation, operand);
+			},
+		});
+	}
+
+	/**
+	 * Download the table as a CSV/TSV file using the chosen delimiter and decimal separator
+	 * Axis breakpoints are exported as the first row/column
+	 */
+	exportDelimited() {
+		const text = toDelimited(this.table.getTextData(), this.csvOptions);
+		const extension = this.csvOptions.delimiter === '\t' ? 'tsv' : 'csv';
+		const title = $.make('div', null, {
+			innerHTML: this.table.tunes.tableTitle || '',
+		}).textContent.trim();
+		const url = URL.createObjectURL(new Blob([text], { type: 'text/csv' }));
+		const link = $.make('a', null, {
+			href: url,
+			download: `${title || 'table'}.${extension}`,
+		});
+
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		URL.revokeObjectURL(url);
+	}
+
+	/**
+	 * Ask for a CSV/TSV file and load it into the table
+	 * The grid is resized to the file, axis and heading settings are kept
+	 */
+	importDelimited() {
+		const input = $.make('input', null, {
+			type: 'file',
+			accept: '.csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain',
+		});
+
+		input.addEventListener('change', () => {
+			const file = input.files && input.files[0];
+
+			if (!file) {
+				return;
 			}
+
+			file.text().then((text) => {
+				this.loadDelimited(text);
+			});
+		});
+
+		input.click();
+	}
+
+	/**
+	 * Load CSV/TSV text into the table
+	 *
+	 * @param {string} text - file contents
+	 */
+	loadDelimited(text) {
+		const rows = parseDelimited(text, this.csvOptions);
+
+		if (!rows.length) {
+			return;
 		}
 
-		// Reapply gradient if enabled
-		if (this.data.gradientColors) {
-			this.table.applyGradientColors();
+		this.table.transact(() =>
+			this.table.setContentKeepingLocks(
+				rows.map((row) =>
+					row.map((cell) =>
+						$.escapeHtml(
+							localizeNumber(cell, this.table.tunes.numberFormat),
+						),
+					),
+				),
+			),
+		);
+	}
+
+	/**
+	 * Ask for a logged CSV/TSV file and draw it over the map
+	 */
+	importDatalog() {
+		const input = $.make('input', null, {
+			type: 'file',
+			accept: '.csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain',
+		});
+
+		input.addEventListener('change', () => {
+			const file = input.files && input.files[0];
+
+			if (!file) {
+				return;
+			}
+
+			file.text().then((text) => {
+				this.openDatalogPanel(
+					parseDatalog(text, this.csvOptions.decimalSeparator),
+				);
+			});
+		});
+
+		input.click();
+	}
+
+	/**
+	 * Choose the logged columns of the operating point and the measured value
+	 * Columns are guessed from the axis titles and units, e.g. 'RPM' finds 'Engine RPM'
+	 *
+	 * @param {import('./utils/datalog').Datalog} datalog - parsed log file
+	 */
+	openDatalogPanel(datalog) {
+		const { tunes } = this.table;
+		const toText = (html) =>
+			$.make('div', null, { innerHTML: html || '' }).textContent;
+		const options = datalog.columns.map((column, index) => ({
+			value: String(index),
+			label: column || `Column ${index + 1}`,
+		}));
+		const withX = hasXAxis(tunes.axes);
+		const withY = hasYAxis(tunes.axes);
+		const fields = [];
+
+		if (withX) {
+			fields.push({
+				name: 'x',
+				label: 'X Axis Column',
+				type: 'select',
+				value: String(
+					guessColumn(
+						datalog.columns,
+						[toText(tunes.horizontalTitle), tunes.units.x.unit],
+						0,
+					),
+				),
+				options,
+			});
+		}
+
+		if (withY) {
+			fields.push({
+				name: 'y',
+				label: 'Y Axis Column',
+				type: 'select',
+				value: String(
+					guessColumn(
+						datalog.columns,
+						[toText(tunes.verticalTitle), tunes.units.y.unit],
+						1,
+					),
+				),
+				options,
+			});
 		}
+
+		fields.push(
+			{
+				name: 'value',
+				label: 'Value Column',
+				type: 'select',
+				value: String(
+					guessColumn(
+						datalog.columns,
+						[toText(tunes.tableTitle), tunes.units.value.unit],
+						datalog.columns.length - 1,
+					),
+				),
+				options,
+			},
+			{
+				name: 'view',
+				label: 'Show',
+				type: 'select',
+				value: 'both',
+				options: [
+					{ value: 'hits', label: 'Hits' },
+					{ value: 'mean', label: 'Mean' },
+					{ value: 'both', label: 'Mean and Hits' },
+				],
+			},
+			{
+				name: 'minHits',
+				label: 'Minimum Hits',
+				value: 5,
+				min: 1,
+				step: 1,
+			},
+			{
+				name: 'decimals',
+				label: 'Mean Decimals',
+				value: 2,
+				min: 0,
+				max: 6,
+				step: 1,
+			},
+		);
+
+		this.openPanel({
+			title: 'Load Datalog',
+			fields,
+			onApply: ({ x, y, value, view, minHits, decimals }) => {
+				if (!withX && !withY) {
+					this.panel.showError(
+						'Datalogs are binned by the axis breakpoints',
+					);
+
+					return false;
+				}
+
+				const samples = getSamples(datalog, {
+					x: withX ? Number(x) : null,
+					y: withY ? Number(y) : null,
+					value: Number(value),
+				});
+
+				if (!samples.length) {
+					this.panel.showError(
+						'No rows with numbers in the chosen columns',
+					);
+
+					return false;
+				}
+
+				const isDrawn = this.table.setDatalog(samples, {
+					view,
+					minHits: Math.max(1, Math.round(minHits) || 1),
+					decimals: Math.min(6, Math.max(0, Math.round(decimals) || 0)),
+				});
+
+				if (!isDrawn) {
+					this.table.clearDatalog();
+					this.panel.showError(
+						'Axes must be numbers in strictly increasing order',
+					);
+
+					return false;
+				}
+			},
+		});
+	}
+
+	/**
+	 * Interpolated map value at an operating point, see Table.lookup()
+	 *
+	 * @param {number} x - operating point on the X axis
+	 * @param {number} y - operating point on the Y axis
+	 * @returns {number|null}
+	 */
+	lookup(x, y) {
+		return this.table.lookup(x, y);
+	}
+
+	/**
+	 * Interpolated curve value at a point, see Table.lookup1D()
+	 *
+	 * @param {number} x - operating point on the curve axis
+	 * @returns {number|null}
+	 */
+	lookup1D(x) {
+		return this.table.lookup1D(x);
 	}
 
 	/**
@@ -591,7 +2249,9 @@ export default class TableBlock {
 	 * @returns {TableData} - saved data
 	 */
 	save() {
-		const tableContent = this.table.getData();
+		// Cells shown as physical values are saved as raw counts
+		const { xAxis, yAxis, content, lockedCells } =
+			this.table.getMapData(true);
 		const tunes = this.table.getTunes();
 
 		const result = {
@@ -599,15 +2259,43 @@ export default class TableBlock {
 			stretched: this.data.stretched,
 			gradientColors: this.data.gradientColors,
 			colorScheme: this.data.colorScheme,
+			gradientNormalization: this.data.gradientNormalization,
+			gradientScale: this.data.gradientScale,
 			showTableTitle: this.data.showTableTitle,
 			tableTitle: tunes.tableTitle || this.data.tableTitle,
 			showAxisTitles: this.data.showAxisTitles,
 			horizontalTitle: tunes.horizontalTitle || this.data.horizontalTitle,
 			verticalTitle: tunes.verticalTitle || this.data.verticalTitle,
 			skipHeadings: this.data.skipHeadings,
-			content: tableContent,
+			content,
 		};
 
+		// Breakpoints still invalid, e.g. the empty ones of a new column, are never saved as they are
+		if (xAxis) {
+			result.xAxis = repairAxis(xAxis);
+		}
+
+		if (yAxis) {
+			result.yAxis = repairAxis(yAxis);
+		}
+
+		if (lockedCells.length) {
+			result.lockedCells = lockedCells;
+		}
+
+		// An empty object keeps cleared units from falling back to the config on reload
+		result.units = hasUnits(tunes.units) ? tunes.units : {};
+
+		if (tunes.physicalView) {
+			result.physicalView = true;
+		}
+
+		// Saved even when 'auto', so that the config of new tables doesn't override it on reload
+		result.gradientRange = { ...tunes.gradientRange };
+
+		// Always saved: a missing format marks a table from before number formats and gets migrated
+		result.numberFormat = { ...tunes.numberFormat };
+
 		return result;
 	}
 
@@ -617,6 +2305,7 @@ export default class TableBlock {
 	 * @returns {void}
 	 */
 	destroy() {
+		this.closePanel();
 		this.table.destroy();
 	}
 
@@ -674,10 +2363,20 @@ export default class TableBlock {
 			return cells.map((cell) => cell.innerHTML);
 		});
 
-		/** Update Tool's data */
+		const { units, physicalView, gradientRange, numberFormat } =
+			this.table.getTunes();
+
+		/** Update Tool's data, the settings stay complete so render() and save() can rely on them */
 		this.data = {
+			...this.data,
+			units,
+			physicalView,
+			gradientRange,
+			numberFormat,
 			withHeadings: firstRowHeading !== null,
+			axes: false,
 			content,
+			lockedCells: [],
 		};
 
 		/** Update table block */
@@ -4,9 +4,51 @@ import throttled from './utils/throttled';
 import {
 	COLOR_SCHEMES,
 	parseNumericValue,
+	getDecimalPlaces,
+	getMaxDecimalPlaces,
 	getMinMaxValues,
-	getCellColors,
+	normalizeGradientRange,
+	getGradientBounds,
+	getLineContents,
+	getNumericValues,
+	createColorScale,
+	getLegendLabels,
+	getScaledCellColors,
+	getGradientCSS,
+	applyArithmetic,
 } from './utils/automotive';
+import {
+	hasXAxis,
+	hasYAxis,
+	composeGrid,
+	getAxisErrors,
+	parseAxis,
+} from './utils/axes';
+import {
+	interpolate1D,
+	interpolate2D,
+	resampleMap,
+} from './utils/interpolation';
+import { parseDelimited } from './utils/csv';
+import {
+	normalizeUnits,
+	hasScaling,
+	hasUnits,
+	toPhysical,
+	convertCell,
+	convertGrid,
+	getConvertedDecimals,
+	withUnit,
+} from './utils/units';
+import {
+	normalizeNumberFormat,
+	formatNumber,
+	localizeNumber,
+	reformatNumber,
+	toPlainNumber,
+} from './utils/numbers';
+import { binSamples } from './utils/datalog';
+import History from './utils/history';
 
 import {
 	IconDirectionLeftDown,
@@ -27,9 +69,21 @@ const CSS = {
 	withRowHeadings: 'tc-table--row-headings',
 	withColumnHeadings: 'tc-table--column-headings',
 	withBothHeadings: 'tc-table--both-headings',
+	withXAxis: 'tc-table--x-axis',
+	withYAxis: 'tc-table--y-axis',
 	rowSelected: 'tc-row--selected',
 	cell: 'tc-cell',
 	cellSelected: 'tc-cell--selected',
+	cellInRange: 'tc-cell--in-range',
+	tableSelecting: 'tc-table--selecting',
+	cellAxis: 'tc-cell--axis',
+	cellAxisCorner: 'tc-cell--axis-corner',
+	cellAxisInvalid: 'tc-cell--axis-invalid',
+	cellPreview: 'tc-cell--preview',
+	cellLocked: 'tc-cell--locked',
+	cellCurrent: 'tc-cell--current',
+	cellDatalog: 'tc-cell--datalog',
+	cellDatalogSparse: 'tc-cell--datalog-sparse',
 	addRow: 'tc-add-row',
 	addRowDisabled: 'tc-add-row--disabled',
 	addColumn: 'tc-add-column',
@@ -39,8 +93,42 @@ const CSS = {
 	axisTitleHorizontal: 'tc-axis-title--horizontal',
 	axisTitleVertical: 'tc-axis-title--vertical',
 	tableTitle: 'tc-table-title',
+	legend: 'tc-legend',
+	legendBar: 'tc-legend__bar',
+	legendLabels: 'tc-legend__labels',
+	legendUnit: 'tc-legend__unit',
+};
+
+/**
+ * Row and column steps of the arrow keys
+ */
+const ARROW_DIRECTIONS = {
+	ArrowUp: { row: -1, column: 0 },
+	ArrowDown: { row: 1, column: 0 },
+	ArrowLeft: { row: 0, column: -1 },
+	ArrowRight: { row: 0, column: 1 },
 };
 
+/**
+ * Tunes restored by undo/redo
+ * Axis titles are included because transposing swaps them, the table title is edited separately
+ */
+const HISTORY_TUNES = [
+	'withHeadings',
+	'axes',
+	'gradientColors',
+	'colorScheme',
+	'skipHeadings',
+	'gradientRange',
+	'gradientNormalization',
+	'gradientScale',
+	'units',
+	'physicalView',
+	'numberFormat',
+	'horizontalTitle',
+	'verticalTitle',
+];
+
 /**
  * @typedef {object} TableConfig
  * @description Tool's config from Editor
@@ -102,15 +190,49 @@ export default class Table {
 		// Index of last selected column via toolbox
 		this.selectedColumn = 0;
 
+		// Corner where the rectangular cell selection started and the corner it was extended to
+		this.selectionAnchor = null;
+		this.selectionFocus = null;
+
+		// Whether the selection is being extended by a mouse drag
+		this.isDraggingSelection = false;
+
+		// Undo/redo steps of this table
+		this.history = new History();
+
+		// State before the edit of the focused cell, pushed to the history on the first keystroke
+		this.editCheckpoint = null;
+
+		// Focused breakpoint with its content and the invalid breakpoints of its axis before the edit
+		this.axisEdit = null;
+
+		// Logged samples drawn over the map, not saved and not part of the history
+		this.datalog = null;
+
+		/**
+		 * Called after undo/redo restored a snapshot, receives the restored tunes
+		 * so the block can sync its own copy of the settings
+		 *
+		 * @type {function(object): void|null}
+		 */
+		this.onHistoryRestore = null;
+
 		// Additional settings for the table
 		this.tunes = {
 			withHeadings: false,
+			axes: false,
 			gradientColors: false,
 			colorScheme: 'THERMAL',
 			horizontalTitle: '',
 			verticalTitle: '',
 			tableTitle: '',
 			skipHeadings: false,
+			units: normalizeUnits(),
+			physicalView: false,
+			gradientRange: normalizeGradientRange(),
+			gradientNormalization: 'global',
+			gradientScale: 'linear',
+			numberFormat: normalizeNumberFormat(),
 		};
 
 		/**
@@ -159,20 +281,33 @@ export default class Table {
 				clickedOnAddRowButton &&
 				clickedOnAddRowButton.parentNode === this.wrapper
 			) {
-				this.addRow(undefined, true);
+				this.transact(() => this.addRow(undefined, true));
 				this.hideToolboxes();
 			} else if (
 				clickedOnAddColumnButton &&
 				clickedOnAddColumnButton.parentNode === this.wrapper
 			) {
-				this.addColumn(undefined, true);
+				this.transact(() => this.addColumn(undefined, true));
 				this.hideToolboxes();
 			}
 		};
 
+		/**
+		 * Finishes the mouse drag selection, the button may be released outside the table
+		 */
+		this.documentMouseUp = () => {
+			this.isDraggingSelection = false;
+			this.table.classList.remove(CSS.tableSelecting);
+		};
+
 		if (!this.readOnly) {
 			this.bindEvents();
 		}
+
+		// Breakpoints and units of a cell are described in read-only mode as well
+		this.table.addEventListener('mouseover', (event) =>
+			this.updateCellTooltip(event),
+		);
 	}
 
 	/**
@@ -211,6 +346,25 @@ export default class Table {
 			this.focusInTableListener(event),
 		);
 
+		// A breakpoint edit that breaks the order of its axis is rejected when the cell is left
+		this.table.addEventListener('focusout', (event) =>
+			this.focusOutTableListener(event),
+		);
+
+		// Rectangular selection by mouse drag, Shift+click and heading clicks
+		this.table.addEventListener('mousedown', (event) =>
+			this.onMouseDownInTable(event),
+		);
+		this.table.addEventListener('mouseover', (event) =>
+			this.onMouseOverInTable(event),
+		);
+		document.addEventListener('mouseup', this.documentMouseUp);
+
+		// Spread tab/newline separated text over the cells instead of pasting it into one
+		this.table.addEventListener('paste', (event) =>
+			this.onPasteListener(event),
+		);
+
 		// Listen for cell content changes to update gradient colors
 		this.table.addEventListener(
 			'input',
@@ -218,8 +372,28 @@ export default class Table {
 				if (this.tunes.gradientColors) {
 					this.applyGradientColors();
 				}
+
+				// Edited breakpoints move the samples to other cells
+				if (this.datalog) {
+					this.updateDatalogOverlay();
+				}
 			}),
 		);
+
+		// Breakpoints are validated on every keystroke so the error mark never lags behind
+		this.table.addEventListener('input', () => {
+			if (this.tunes.axes) {
+				this.validateAxes();
+			}
+		});
+
+		// The first keystroke in a cell makes one undo step for the whole edit
+		this.table.addEventListener('input', () => {
+			if (this.editCheckpoint) {
+				this.history.push(this.editCheckpoint);
+				this.editCheckpoint = null;
+			}
+		});
 	}
 
 	/**
@@ -239,7 +413,9 @@ export default class Table {
 						return this.numberOfColumns === this.config.maxcols;
 					},
 					onClick: () => {
-						this.addColumn(this.selectedColumn, true);
+						this.transact(() =>
+							this.addColumn(this.selectedColumn, true),
+						);
 						this.hideToolboxes();
 					},
 				},
@@ -250,7 +426,9 @@ export default class Table {
 						return this.numberOfColumns === this.config.maxcols;
 					},
 					onClick: () => {
-						this.addColumn(this.selectedColumn + 1, true);
+						this.transact(() =>
+							this.addColumn(this.selectedColumn + 1, true),
+						);
 						this.hideToolboxes();
 					},
 				},
@@ -262,7 +440,7 @@ export default class Table {
 					},
 					confirmationRequired: true,
 					onClick: () => {
-						this.deleteColumn(this.selectedColumn);
+						this.transact(() => this.deleteColumn(this.selectedColumn));
 						this.hideToolboxes();
 					},
 				},
@@ -294,7 +472,7 @@ export default class Table {
 						return this.numberOfRows === this.config.maxrows;
 					},
 					onClick: () => {
-						this.addRow(this.selectedRow, true);
+						this.transact(() => this.addRow(this.selectedRow, true));
 						this.hideToolboxes();
 					},
 				},
@@ -305,7 +483,7 @@ export default class Table {
 						return this.numberOfRows === this.config.maxrows;
 					},
 					onClick: () => {
-						this.addRow(this.selectedRow + 1, true);
+						this.transact(() => this.addRow(this.selectedRow + 1, true));
 						this.hideToolboxes();
 					},
 				},
@@ -317,7 +495,7 @@ export default class Table {
 					},
 					confirmationRequired: true,
 					onClick: () => {
-						this.deleteRow(this.selectedRow);
+						this.transact(() => this.deleteRow(this.selectedRow));
 						this.hideToolboxes();
 					},
 				},
@@ -341,7 +519,7 @@ export default class Table {
 			this.focusedCell.row += 1;
 			this.focusCell(this.focusedCell);
 		} else {
-			this.addRow();
+			this.transact(() => this.addRow());
 			this.focusedCell.row += 1;
 			this.focusCell(this.focusedCell);
 			this.updateToolboxesPosition(0, 0);
@@ -477,6 +655,9 @@ export default class Table {
 		) {
 			this.addHeadingAttrToFirstColumn();
 		}
+
+		this.updateAxisCells();
+		this.updateSelectionHighlight();
 	}
 
 	/**
@@ -490,6 +671,18 @@ export default class Table {
 		let insertedRow;
 		let rowElem = $.make('div', CSS.row);
 
+		/**
+		 * Check if the number of rows has reached the maximum allowed rows specified in the configuration,
+		 * and if so, exit the function to prevent adding more rows beyond the limit.
+		 */
+		if (
+			this.config &&
+			this.config.maxrows &&
+			this.numberOfRows >= this.config.maxrows
+		) {
+			return;
+		}
+
 		// Remove heading attributes before modifying structure
 		if (
 			this.tunes.withHeadings === 'row' ||
@@ -510,18 +703,6 @@ export default class Table {
 		 * It is necessary that the first line is filled in correctly
 		 */
 		let numberOfColumns = this.numberOfColumns;
-		/**
-		 * Check if the number of rows has reached the maximum allowed rows specified in the configuration,
-		 * and if so, exit the function to prevent adding more columns beyond the limit.
-		 */
-		if (
-			this.config &&
-			this.config.maxrows &&
-			this.numberOfRows >= this.config.maxrows &&
-			addRowButton
-		) {
-			return;
-		}
 
 		if (index > 0 && index <= this.numberOfRows) {
 			let row = this.getRow(index);
@@ -547,6 +728,9 @@ export default class Table {
 			this.addHeadingAttrToFirstColumn();
 		}
 
+		this.updateAxisCells();
+		this.updateSelectionHighlight();
+
 		const insertedRowFirstCell = this.getRowFirstCell(insertedRow);
 
 		if (insertedRowFirstCell && setFocus) {
@@ -598,6 +782,9 @@ export default class Table {
 		) {
 			this.addHeadingAttrToFirstColumn();
 		}
+
+		this.updateAxisCells();
+		this.updateSelectionHighlight();
 	}
 
 	/**
@@ -625,6 +812,9 @@ export default class Table {
 		) {
 			this.addHeadingAttrToFirstColumn();
 		}
+
+		this.updateAxisCells();
+		this.updateSelectionHighlight();
 	}
 
 	/**
@@ -646,6 +836,9 @@ export default class Table {
 		this.wrapper.appendChild(this.table);
 
 		if (!this.readOnly) {
+			// Escape moves the focus from the cell to the table, arrows then move between cells
+			this.table.tabIndex = -1;
+
 			const addColumnButton = $.make('div', CSS.addColumn, {
 				innerHTML: IconPlus,
 			});
@@ -729,6 +922,62 @@ export default class Table {
 		}
 	}
 
+	/**
+	 * Replace the whole table content, adding or deleting rows and columns to match its size
+	 * Rows and columns beyond the configured maximum are dropped
+	 *
+	 * @param {string[][]} content - two-dimensional array of cells HTML content
+	 */
+	setContent(content) {
+		const rows = Math.max(content.length, 1);
+		const cols = Math.max(
+			content.reduce((max, row) => Math.max(max, row.length), 0),
+			1,
+		);
+
+		while (this.numberOfRows > rows) {
+			this.deleteRow(this.numberOfRows);
+		}
+
+		while (this.numberOfColumns > cols) {
+			this.deleteColumn(this.numberOfColumns);
+		}
+
+		while (this.numberOfRows < rows) {
+			if (!this.addRow()) {
+				break;
+			}
+		}
+
+		while (this.numberOfColumns < cols) {
+			const numberOfColumns = this.numberOfColumns;
+
+			this.addColumn();
+
+			if (this.numberOfColumns === numberOfColumns) {
+				break;
+			}
+		}
+
+		for (let i = 1; i <= this.numberOfRows; i++) {
+			for (let j = 1; j <= this.numberOfColumns; j++) {
+				const row = content[i - 1] || [];
+
+				this.setCellContent(i, j, row[j - 1] || '');
+			}
+		}
+
+		this.validateAxes();
+
+		if (this.tunes.gradientColors) {
+			this.applyGradientColors();
+		}
+
+		if (this.datalog) {
+			this.updateDatalogOverlay();
+		}
+	}
+
 	/**
 	 * Fills a row with cells
 	 *
@@ -827,6 +1076,7 @@ export default class Table {
 	/**
 	 * Prevents tab keydown event from bubbling
 	 * so that it only works inside the table
+	 * Handles the history, selection and navigation shortcuts
 	 *
 	 * @param {KeyboardEvent} event - keydown event
 	 */
@@ -834,125 +1084,599 @@ export default class Table {
 		if (event.key === 'Tab') {
 			event.stopPropagation();
 		}
+
+		// Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo the table edits instead of the native text history
+		if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+			const key = event.key.toLowerCase();
+
+			if (key === 'z' || key === 'y') {
+				event.preventDefault();
+				event.stopPropagation();
+
+				if (key === 'y' || event.shiftKey) {
+					this.redo();
+				} else {
+					this.undo();
+				}
+
+				return;
+			}
+		}
+
+		const direction = ARROW_DIRECTIONS[event.key];
+
+		// Ctrl+Up/Down steps the selected values by the configured increment
+		if ((event.ctrlKey || event.metaKey) && direction && direction.row) {
+			event.preventDefault();
+			event.stopPropagation();
+
+			const increment = Number(this.config && this.config.increment) || 1;
+
+			this.applyToSelection('add', -direction.row * increment);
+
+			return;
+		}
+
+		if (event.shiftKey && direction) {
+			event.preventDefault();
+			event.stopPropagation();
+
+			this.extendSelection(direction.row, direction.column);
+
+			return;
+		}
+
+		this.onNavigationKey(event, direction);
 	}
 
 	/**
-	 * Set the coordinates of the cell that the focus has moved to
+	 * Spreadsheet navigation between cells
+	 * Arrows leave the cell at the caret boundary, Tab/Shift+Tab step through the cells row by row,
+	 * Home/End jump to the row edges (Ctrl for the table corners), Escape leaves the cell keeping the selection
 	 *
-	 * @param {FocusEvent} event - focusin event
+	 * @param {KeyboardEvent} event - keydown event
+	 * @param {{row: number, column: number}|undefined} direction - arrow key direction
 	 */
-	focusInTableListener(event) {
-		const cell = event.target;
-		const row = this.getRowByCell(cell);
+	onNavigationKey(event, direction) {
+		const isTableFocused = event.target === this.table;
+		const withModifier = event.ctrlKey || event.metaKey || event.altKey;
+		const { row, column } = this.focusedCell;
+		let target = null;
 
-		this.focusedCell = {
-			row:
-				Array.from(this.table.querySelectorAll(`.${CSS.row}`)).indexOf(row) +
-				1,
-			column:
-				Array.from(row.querySelectorAll(`.${CSS.cell}`)).indexOf(cell) + 1,
-		};
+		if (event.key === 'Tab') {
+			target = this.getCellInReadingOrder(event.shiftKey ? -1 : 1);
+		} else if (direction && !withModifier && !event.shiftKey) {
+			if (isTableFocused || this.shouldLeaveCell(event.target, direction)) {
+				target = {
+					row: row + direction.row,
+					column: column + direction.column,
+				};
+			}
+		} else if (
+			(event.key === 'Home' || event.key === 'End') &&
+			!event.shiftKey
+		) {
+			const toStart = event.key === 'Home';
+			const toCorner = event.ctrlKey || event.metaKey;
+
+			if (
+				toCorner ||
+				isTableFocused ||
+				this.isCaretAtBoundary(event.target, toStart)
+			) {
+				target = {
+					row: toCorner ? (toStart ? 1 : this.numberOfRows) : row,
+					column: toStart ? 1 : this.numberOfColumns,
+				};
+			}
+		} else if (event.key === 'Escape' && !isTableFocused) {
+			event.preventDefault();
+			event.stopPropagation();
+			this.table.focus();
+
+			return;
+		} else if (isTableFocused && event.key === 'Enter') {
+			event.preventDefault();
+			event.stopPropagation();
+			this.editFocusedCell();
+
+			return;
+		} else if (isTableFocused && event.key.length === 1 && !withModifier) {
+			event.preventDefault();
+			event.stopPropagation();
+			this.editFocusedCell(event.key);
+
+			return;
+		}
+
+		if (target) {
+			event.preventDefault();
+			event.stopPropagation();
+			this.moveFocus(target.row, target.column);
+		}
 	}
 
 	/**
-	 * Unselect row/column
-	 * Close toolbox menu
-	 * Hide toolboxes
+	 * Check if an arrow key should move to the next cell instead of moving the caret
+	 * Single-line cells are left right away on Up/Down
 	 *
-	 * @returns {void}
+	 * @param {HTMLElement} cell - cell with the caret
+	 * @param {{row: number, column: number}} direction - arrow key direction
+	 * @returns {boolean}
 	 */
-	hideToolboxes() {
-		this.hideRowToolbox();
-		this.hideColumnToolbox();
-		this.updateToolboxesPosition();
+	shouldLeaveCell(cell, direction) {
+		if (direction.column) {
+			return this.isCaretAtBoundary(cell, direction.column < 0);
+		}
+
+		const isMultiline = /<br|<div|<p|\n/.test(cell.innerHTML);
+
+		return !isMultiline || this.isCaretAtBoundary(cell, direction.row < 0);
 	}
 
 	/**
-	 * Unselect row, close toolbox
+	 * Check if the caret is at the start or at the end of a cell
+	 * Fully selected contents count as both
 	 *
-	 * @returns {void}
+	 * @param {HTMLElement} cell - cell with the caret
+	 * @param {boolean} atStart - check the start, otherwise the end
+	 * @returns {boolean}
 	 */
-	hideRowToolbox() {
-		this.unselectRow();
-		this.toolboxRow.hide();
+	isCaretAtBoundary(cell, atStart) {
+		const selection = window.getSelection();
+
+		if (!selection.rangeCount || !cell.contains(selection.anchorNode)) {
+			return true;
+		}
+
+		const caret = selection.getRangeAt(0);
+		const rest = document.createRange();
+
+		rest.selectNodeContents(cell);
+
+		if (atStart) {
+			rest.setEnd(caret.startContainer, caret.startOffset);
+		} else {
+			rest.setStart(caret.endContainer, caret.endOffset);
+		}
+
+		return rest.toString().length === 0;
 	}
+
 	/**
-	 * Unselect column, close toolbox
+	 * Find the next or previous cell going through the rows left to right, the way Tab does
+	 * Stays at the first/last cell of the table
 	 *
-	 * @returns {void}
+	 * @param {number} step - 1 for the next cell, -1 for the previous one
+	 * @returns {{row: number, column: number}}
 	 */
-	hideColumnToolbox() {
-		this.unselectColumn();
+	getCellInReadingOrder(step) {
+		let row = this.focusedCell.row || 1;
+		let column = this.focusedCell.column + step;
+
+		if (column > this.numberOfColumns && row < this.numberOfRows) {
+			row += 1;
+			column = 1;
+		} else if (column < 1 && row > 1) {
+			row -= 1;
+			column = this.numberOfColumns;
+		}
 
-		this.toolboxColumn.hide();
+		return { row, column };
 	}
 
 	/**
-	 * Set the cursor focus to the focused cell
+	 * Move the focus to a cell and select its contents, so typing replaces the value
+	 * Coordinates outside the table are clamped to its edges
 	 *
-	 * @returns {void}
+	 * @param {number} row - cell row coordinate
+	 * @param {number} column - cell column coordinate
 	 */
-	focusCell() {
-		this.focusedCellElem.focus();
+	moveFocus(row, column) {
+		this.setSelection({ row, column });
+
+		const { row: targetRow, column: targetColumn } = this.selectionAnchor;
+		const cell = this.getCell(targetRow, targetColumn);
+
+		if (!cell) {
+			return;
+		}
+
+		cell.focus();
+		$.selectContents(cell);
 	}
 
 	/**
-	 * Get current focused element
+	 * Go back into the focused cell after Escape
+	 * A typed character replaces the cell content, otherwise the caret is put at the end
 	 *
-	 * @returns {HTMLElement} - focused cell
+	 * @param {string} [text] - typed character
 	 */
-	get focusedCellElem() {
-		const { row, column } = this.focusedCell;
+	editFocusedCell(text) {
+		const cell = this.getCell(
+			Math.max(this.focusedCell.row, 1),
+			Math.max(this.focusedCell.column, 1),
+		);
 
-		return this.getCell(row, column);
+		if (!cell) {
+			return;
+		}
+
+		cell.focus();
+
+		if (text === undefined || this.isCellLocked(cell)) {
+			$.focus(cell, false);
+
+			return;
+		}
+
+		cell.textContent = text;
+		$.focus(cell, false);
+		cell.dispatchEvent(new Event('input', { bubbles: true }));
 	}
 
 	/**
-	 * Update toolboxes position
+	 * Intercepts pasting of a block copied from a spreadsheet or tuning software
+	 * Single values are left to the native paste
 	 *
-	 * @param {number} row - hovered row
-	 * @param {number} column - hovered column
+	 * @param {ClipboardEvent} event - paste event
 	 */
-	updateToolboxesPosition(row = this.hoveredRow, column = this.hoveredColumn) {
-		if (!this.isColumnMenuShowing) {
-			if (column > 0 && column <= this.numberOfColumns) {
-				// not sure this statement is needed. Maybe it should be fixed in getHoveredCell()
-				this.toolboxColumn.show(() => {
-					return {
-						left: `calc((100% - var(--cell-size)) / (${this.numberOfColumns} * 2) * (1 + (${column} - 1) * 2))`,
-					};
-				});
-			}
+	onPasteListener(event) {
+		const text = event.clipboardData
+			? event.clipboardData.getData('text/plain')
+			: '';
+
+		if (!/[\t\n\r]/.test(text.replace(/[\r\n]+$/, ''))) {
+			return;
 		}
 
-		if (!this.isRowMenuShowing) {
-			if (row > 0 && row <= this.numberOfRows) {
-				// not sure this statement is needed. Maybe it should be fixed in getHoveredCell()
-				this.toolboxRow.show(() => {
-					const hoveredRowElement = this.getRow(row);
-					const { fromTopBorder } = $.getRelativeCoordsOfTwoElems(
-						this.table,
-						hoveredRowElement,
-					);
-					const { height } = hoveredRowElement.getBoundingClientRect();
+		// Don't let Editor.js split the text into new blocks
+		event.preventDefault();
+		event.stopPropagation();
 
-					return {
-						top: `${Math.ceil(fromTopBorder + height / 2)}px`,
-					};
-				});
-			}
-		}
+		this.transact(() =>
+			this.pasteText(
+				text,
+				this.focusedCell.row || 1,
+				this.focusedCell.column || 1,
+			),
+		);
 	}
 
 	/**
-	 * Makes the first row and/or first column headings
+	 * Fill cells with tab/newline separated text, starting at the passed cell
+	 * The table grows as needed, up to the configured maximum rows and columns
 	 *
-	 * @param {string|false} withHeadings - heading configuration: false, 'row', 'column', or 'both'
+	 * @param {string} text - tab separated rows
+	 * @param {number} row - top row of the pasted block
+	 * @param {number} column - left column of the pasted block
 	 */
-	setHeadingsSetting(withHeadings) {
-		this.tunes.withHeadings = withHeadings;
+	pasteText(text, row, column) {
+		const rows = parseDelimited(text, {
+			delimiter: '\t',
+			decimalSeparator:
+				(this.config && this.config.csvDecimalSeparator) || '.',
+		});
+		const width = rows.reduce((max, cells) => Math.max(max, cells.length), 0);
 
-		// Remove all existing heading classes and attributes
+		while (this.numberOfRows < row + rows.length - 1) {
+			if (!this.addRow()) {
+				break;
+			}
+		}
+
+		while (this.numberOfColumns < column + width - 1) {
+			const numberOfColumns = this.numberOfColumns;
+
+			this.addColumn();
+
+			if (this.numberOfColumns === numberOfColumns) {
+				break;
+			}
+		}
+
+		rows.forEach((cells, i) => {
+			cells.forEach((value, j) => {
+				const cell = this.getCell(row + i, column + j);
+
+				if (cell && !this.isCellLocked(cell)) {
+					cell.innerHTML = $.escapeHtml(
+						localizeNumber(value, this.getNumberFormat()),
+					);
+				}
+			});
+		});
+
+		this.validateAxes();
+
+		if (this.tunes.gradientColors) {
+			this.applyGradientColors();
+		}
+	}
+
+	/**
+	 * Set the coordinates of the cell that the focus has moved to
+	 *
+	 * @param {FocusEvent} event - focusin event
+	 */
+	focusInTableListener(event) {
+		const cell = event.target.closest(`.${CSS.cell}`);
+
+		// The table itself gets the focus on Escape, the focused cell stays as it was
+		if (!cell) {
+			return;
+		}
+
+		const row = this.getRowByCell(cell);
+		const current = this.table.querySelector(`.${CSS.cellCurrent}`);
+
+		if (current) {
+			current.classList.remove(CSS.cellCurrent);
+		}
+
+		cell.classList.add(CSS.cellCurrent);
+
+		this.focusedCell = {
+			row:
+				Array.from(this.table.querySelectorAll(`.${CSS.row}`)).indexOf(row) +
+				1,
+			column:
+				Array.from(row.querySelectorAll(`.${CSS.cell}`)).indexOf(cell) + 1,
+		};
+
+		// A single-cell selection follows the focus, a range stays until it is replaced
+		if (!this.isRangeSelected()) {
+			this.setSelection(this.focusedCell);
+		}
+
+		this.editCheckpoint = this.getState();
+		this.axisEdit = cell.classList.contains(CSS.cellAxis)
+			? {
+					cell,
+					content: cell.innerHTML,
+					invalid: this.getInvalidBreakpoints(cell),
+				}
+			: null;
+	}
+
+	/**
+	 * Restore a breakpoint whose edit made its axis invalid, e.g. 2500 typed between 1000 and 2000
+	 * Breakpoints that were already invalid, like the empty ones of a new column, may be fixed freely
+	 *
+	 * @param {FocusEvent} event - focusout event
+	 */
+	focusOutTableListener(event) {
+		const edit = this.axisEdit;
+
+		if (!edit || event.target.closest(`.${CSS.cell}`) !== edit.cell) {
+			return;
+		}
+
+		this.axisEdit = null;
+
+		const isBroken = this.getInvalidBreakpoints(edit.cell).some(
+			(cell) => !edit.invalid.includes(cell),
+		);
+
+		if (!isBroken || edit.cell.innerHTML === edit.content) {
+			return;
+		}
+
+		const typed = edit.cell.textContent.trim();
+
+		edit.cell.innerHTML = edit.content;
+		this.validateAxes();
+		this.history.discard(this.getState());
+		this.showNotice(
+			`${this.api.i18n.t('Breakpoints must be numbers in strictly increasing order')}: ${typed || '""'} ${this.api.i18n.t('was replaced by the previous value')}`,
+		);
+
+		if (this.tunes.gradientColors) {
+			this.applyGradientColors();
+		}
+
+		if (this.datalog) {
+			this.updateDatalogOverlay();
+		}
+	}
+
+	/**
+	 * Tell the user why an action changed nothing or was undone
+	 *
+	 * @param {string} message - translated notice text
+	 */
+	showNotice(message) {
+		this.api.notifier.show({ message, style: 'error' });
+	}
+
+	/**
+	 * Breakpoint cells marked invalid on the axis of a breakpoint cell
+	 *
+	 * @param {HTMLElement} cell - breakpoint cell
+	 * @returns {HTMLElement[]}
+	 */
+	getInvalidBreakpoints(cell) {
+		const { xCells, yCells } = this.getAxisCells();
+		const cells = xCells.includes(cell) ? xCells : yCells;
+
+		return cells.filter((axisCell) =>
+			axisCell.classList.contains(CSS.cellAxisInvalid),
+		);
+	}
+
+	/**
+	 * Starts a new selection, extends it with Shift or selects a whole row/column by its heading
+	 *
+	 * @param {MouseEvent} event - mousedown event
+	 */
+	onMouseDownInTable(event) {
+		const cell = event.target.closest(`.${CSS.cell}`);
+
+		if (!cell || event.button !== 0) {
+			return;
+		}
+
+		const position = this.getCellPosition(cell);
+
+		if (event.shiftKey && this.selectionAnchor) {
+			event.preventDefault();
+			this.setSelection(this.selectionAnchor, position);
+
+			return;
+		}
+
+		const { firstRow, firstColumn } = this.getHeadingLines();
+		const bodyRow = firstRow ? 2 : 1;
+		const bodyColumn = firstColumn ? 2 : 1;
+		const lastRow = { row: this.numberOfRows, column: this.numberOfColumns };
+
+		if (firstRow && position.row === 1 && position.column >= bodyColumn) {
+			this.setSelection(
+				{ row: bodyRow, column: position.column },
+				{ row: lastRow.row, column: position.column },
+			);
+		} else if (
+			firstColumn &&
+			position.column === 1 &&
+			position.row >= bodyRow
+		) {
+			this.setSelection(
+				{ row: position.row, column: bodyColumn },
+				{ row: position.row, column: lastRow.column },
+			);
+		} else if (
+			firstRow &&
+			firstColumn &&
+			position.row === 1 &&
+			position.column === 1
+		) {
+			this.setSelection({ row: bodyRow, column: bodyColumn }, lastRow);
+		} else {
+			this.setSelection(position);
+			this.isDraggingSelection = true;
+		}
+	}
+
+	/**
+	 * Extends the selection while the mouse is dragged over the cells
+	 *
+	 * @param {MouseEvent} event - mouseover event
+	 */
+	onMouseOverInTable(event) {
+		const cell = event.target.closest(`.${CSS.cell}`);
+
+		if (!this.isDraggingSelection || !cell) {
+			return;
+		}
+
+		this.setSelection(this.selectionAnchor, this.getCellPosition(cell));
+
+		// Dragging over several cells selects cells, not their text
+		if (this.isRangeSelected()) {
+			this.table.classList.add(CSS.tableSelecting);
+			window.getSelection().removeAllRanges();
+		}
+	}
+
+	/**
+	 * Unselect row/column
+	 * Close toolbox menu
+	 * Hide toolboxes
+	 *
+	 * @returns {void}
+	 */
+	hideToolboxes() {
+		this.hideRowToolbox();
+		this.hideColumnToolbox();
+		this.updateToolboxesPosition();
+	}
+
+	/**
+	 * Unselect row, close toolbox
+	 *
+	 * @returns {void}
+	 */
+	hideRowToolbox() {
+		this.unselectRow();
+		this.toolboxRow.hide();
+	}
+	/**
+	 * Unselect column, close toolbox
+	 *
+	 * @returns {void}
+	 */
+	hideColumnToolbox() {
+		this.unselectColumn();
+
+		this.toolboxColumn.hide();
+	}
+
+	/**
+	 * Set the cursor focus to the focused cell
+	 *
+	 * @returns {void}
+	 */
+	focusCell() {
+		this.focusedCellElem.focus();
+	}
+
+	/**
+	 * Get current focused element
+	 *
+	 * @returns {HTMLElement} - focused cell
+	 */
+	get focusedCellElem() {
+		const { row, column } = this.focusedCell;
+
+		return this.getCell(row, column);
+	}
+
+	/**
+	 * Update toolboxes position
+	 *
+	 * @param {number} row - hovered row
+	 * @param {number} column - hovered column
+	 */
+	updateToolboxesPosition(row = this.hoveredRow, column = this.hoveredColumn) {
+		if (!this.isColumnMenuShowing) {
+			if (column > 0 && column <= this.numberOfColumns) {
+				// not sure this statement is needed. Maybe it should be fixed in getHoveredCell()
+				this.toolboxColumn.show(() => {
+					return {
+						left: `calc((100% - var(--cell-size)) / (${this.numberOfColumns} * 2) * (1 + (${column} - 1) * 2))`,
+					};
+				});
+			}
+		}
+
+		if (!this.isRowMenuShowing) {
+			if (row > 0 && row <= this.numberOfRows) {
+				// not sure this statement is needed. Maybe it should be fixed in getHoveredCell()
+				this.toolboxRow.show(() => {
+					const hoveredRowElement = this.getRow(row);
+					const { fromTopBorder } = $.getRelativeCoordsOfTwoElems(
+						this.table,
+						hoveredRowElement,
+					);
+					const { height } = hoveredRowElement.getBoundingClientRect();
+
+					return {
+						top: `${Math.ceil(fromTopBorder + height / 2)}px`,
+					};
+				});
+			}
+		}
+	}
+
+	/**
+	 * Makes the first row and/or first column headings
+	 *
+	 * @param {string|false} withHeadings - heading configuration: false, 'row', 'column', or 'both'
+	 */
+	setHeadingsSetting(withHeadings) {
+		this.tunes.withHeadings = withHeadings;
+
+		// Remove all existing heading classes and attributes
 		this.table.classList.remove(
 			CSS.withHeadings,
 			CSS.withRowHeadings,
@@ -982,55 +1706,650 @@ export default class Table {
 	}
 
 	/**
-	 * Adds an attribute for displaying the placeholder in the cell
+	 * Adds an attribute for displaying the placeholder in the cell
+	 */
+	addHeadingAttrToFirstRow() {
+		for (let cellIndex = 1; cellIndex <= this.numberOfColumns; cellIndex++) {
+			let cell = this.getCell(1, cellIndex);
+
+			if (cell) {
+				cell.setAttribute('heading', this.api.i18n.t('Heading'));
+			}
+		}
+	}
+
+	/**
+	 * Removes an attribute for displaying the placeholder in the cell
+	 */
+	removeHeadingAttrFromFirstRow() {
+		for (let cellIndex = 1; cellIndex <= this.numberOfColumns; cellIndex++) {
+			let cell = this.getCell(1, cellIndex);
+
+			if (cell) {
+				cell.removeAttribute('heading');
+			}
+		}
+	}
+
+	/**
+	 * Adds an attribute for displaying the placeholder in the first column cells
+	 */
+	addHeadingAttrToFirstColumn() {
+		for (let rowIndex = 1; rowIndex <= this.numberOfRows; rowIndex++) {
+			let cell = this.getCell(rowIndex, 1);
+
+			if (cell) {
+				cell.setAttribute('heading', this.api.i18n.t('Heading'));
+			}
+		}
+	}
+
+	/**
+	 * Removes an attribute for displaying the placeholder in the first column cells
+	 */
+	removeHeadingAttrFromFirstColumn() {
+		for (let rowIndex = 1; rowIndex <= this.numberOfRows; rowIndex++) {
+			let cell = this.getCell(rowIndex, 1);
+
+			if (cell) {
+				cell.removeAttribute('heading');
+			}
+		}
+	}
+
+	/**
+	 * Makes the first row and/or first column hold axis breakpoints
+	 *
+	 * @param {string|false} axes - axes configuration: false, 'x', 'y', or 'both'
+	 */
+	setAxesSetting(axes) {
+		this.tunes.axes = axes;
+
+		this.table.classList.toggle(CSS.withXAxis, hasXAxis(axes));
+		this.table.classList.toggle(CSS.withYAxis, hasYAxis(axes));
+
+		this.updateAxisCells();
+		this.updateSelectionHighlight();
+
+		if (this.datalog) {
+			this.updateDatalogOverlay();
+		}
+	}
+
+	/**
+	 * Marks the cells of the axis row/column so they are styled and validated as breakpoints
+	 */
+	updateAxisCells() {
+		const withX = hasXAxis(this.tunes.axes);
+		const withY = hasYAxis(this.tunes.axes);
+
+		for (let i = 1; i <= this.numberOfRows; i++) {
+			for (let j = 1; j <= this.numberOfColumns; j++) {
+				const cell = this.getCell(i, j);
+
+				if (!cell) {
+					continue;
+				}
+
+				const isCorner = withX && withY && i === 1 && j === 1;
+				const isAxis =
+					!isCorner && ((withX && i === 1) || (withY && j === 1));
+
+				cell.classList.toggle(CSS.cellAxis, isAxis);
+				cell.classList.toggle(CSS.cellAxisCorner, isCorner);
+
+				if (!isAxis) {
+					cell.classList.remove(CSS.cellAxisInvalid);
+					cell.removeAttribute('title');
+				}
+
+				// Breakpoints can't be locked
+				if (isAxis || isCorner) {
+					cell.classList.remove(CSS.cellLocked);
+				}
+
+				this.setCellEditable(cell, !isCorner && !this.isCellLocked(cell));
+			}
+		}
+
+		this.validateAxes();
+	}
+
+	/**
+	 * Highlights breakpoints that are not numbers in strictly increasing order
+	 */
+	validateAxes() {
+		const { xCells, yCells } = this.getAxisCells();
+		const message = this.api.i18n.t(
+			'Breakpoints must be numbers in strictly increasing order',
+		);
+
+		[xCells, yCells].forEach((cells) => {
+			const errors = getAxisErrors(
+				parseAxis(
+					cells.map((cell) => cell.innerHTML),
+					this.getNumberFormat(),
+				),
+			);
+
+			cells.forEach((cell, index) => {
+				const isInvalid = errors.includes(index);
+
+				cell.classList.toggle(CSS.cellAxisInvalid, isInvalid);
+
+				if (isInvalid) {
+					cell.setAttribute('title', message);
+				} else {
+					cell.removeAttribute('title');
+				}
+			});
+		});
+	}
+
+	/**
+	 * Collects the cells holding the X and Y axis breakpoints
+	 *
+	 * @returns {{xCells: HTMLElement[], yCells: HTMLElement[]}}
+	 */
+	getAxisCells() {
+		const withX = hasXAxis(this.tunes.axes);
+		const withY = hasYAxis(this.tunes.axes);
+		const xCells = [];
+		const yCells = [];
+
+		if (withX) {
+			for (let j = withY ? 2 : 1; j <= this.numberOfColumns; j++) {
+				xCells.push(this.getCell(1, j));
+			}
+		}
+
+		if (withY) {
+			for (let i = withX ? 2 : 1; i <= this.numberOfRows; i++) {
+				yCells.push(this.getCell(i, 1));
+			}
+		}
+
+		return { xCells, yCells };
+	}
+
+	/**
+	 * Positions of the rows and columns, used to space interpolated values like the breakpoints are spaced
+	 * Valid axis breakpoints are used when the axis is on, cell indexes otherwise
+	 *
+	 * @returns {{rows: number[], columns: number[]}} - in the getGridContent() layout
+	 */
+	getGridPositions() {
+		const { xCells, yCells } = this.getAxisCells();
+		const rows = [];
+		const columns = [];
+
+		for (let i = 0; i < this.numberOfRows; i++) {
+			rows.push(i);
+		}
+
+		for (let j = 0; j < this.numberOfColumns; j++) {
+			columns.push(j);
+		}
+
+		[
+			[xCells, columns],
+			[yCells, rows],
+		].forEach(([cells, positions]) => {
+			const axis = parseAxis(
+				cells.map((cell) => cell.innerHTML),
+				this.getNumberFormat(),
+			);
+
+			// Breakpoints are the last cells of the first row/column
+			if (axis.length && !getAxisErrors(axis).length) {
+				positions.splice(
+					positions.length - axis.length,
+					axis.length,
+					...axis,
+				);
+			}
+		});
+
+		return { rows, columns };
+	}
+
+	/**
+	 * Which leading row/column hold breakpoints or labels instead of map values
+	 * Axes are always excluded, plain headings only with the legacy skipHeadings tune
+	 *
+	 * @returns {{skipFirstRow: boolean, skipFirstCol: boolean}}
+	 */
+	getHeadingSkips() {
+		const { withHeadings, skipHeadings, axes } = this.tunes;
+
+		return {
+			skipFirstRow:
+				hasXAxis(axes) ||
+				(skipHeadings &&
+					(withHeadings === 'row' || withHeadings === 'both')),
+			skipFirstCol:
+				hasYAxis(axes) ||
+				(skipHeadings &&
+					(withHeadings === 'column' || withHeadings === 'both')),
+		};
+	}
+
+	/**
+	 * Which leading row/column hold headings or axis breakpoints
+	 *
+	 * @returns {{firstRow: boolean, firstColumn: boolean}}
+	 */
+	getHeadingLines() {
+		const { withHeadings, axes } = this.tunes;
+
+		return {
+			firstRow:
+				hasXAxis(axes) || withHeadings === 'row' || withHeadings === 'both',
+			firstColumn:
+				hasYAxis(axes) ||
+				withHeadings === 'column' ||
+				withHeadings === 'both',
+		};
+	}
+
+	/**
+	 * Get row and column coordinates of a cell element
+	 *
+	 * @param {HTMLElement} cell - cell element
+	 * @returns {{row: number, column: number}}
+	 */
+	getCellPosition(cell) {
+		const row = this.getRowByCell(cell);
+
+		return {
+			row:
+				Array.from(this.table.querySelectorAll(`.${CSS.row}`)).indexOf(row) +
+				1,
+			column:
+				Array.from(row.querySelectorAll(`.${CSS.cell}`)).indexOf(cell) + 1,
+		};
+	}
+
+	/**
+	 * Select a rectangle of cells between two corners
+	 *
+	 * @param {{row: number, column: number}} anchor - corner where the selection starts
+	 * @param {{row: number, column: number}} [focus] - opposite corner, the anchor cell if omitted
+	 */
+	setSelection(anchor, focus = anchor) {
+		const clamp = ({ row, column }) => ({
+			row: Math.min(Math.max(row, 1), this.numberOfRows),
+			column: Math.min(Math.max(column, 1), this.numberOfColumns),
+		});
+
+		this.selectionAnchor = clamp(anchor);
+		this.selectionFocus = clamp(focus);
+
+		this.updateSelectionHighlight();
+	}
+
+	/**
+	 * Move the active corner of the selection, e.g. with Shift+arrows
+	 *
+	 * @param {number} rowDelta - rows to move by
+	 * @param {number} columnDelta - columns to move by
+	 */
+	extendSelection(rowDelta, columnDelta) {
+		const anchor = this.selectionAnchor || this.focusedCell;
+		const focus = this.selectionFocus || anchor;
+
+		if (!anchor.row || !anchor.column) {
+			return;
+		}
+
+		this.setSelection(anchor, {
+			row: focus.row + rowDelta,
+			column: focus.column + columnDelta,
+		});
+	}
+
+	/**
+	 * Remove the rectangular selection
+	 */
+	clearSelection() {
+		this.selectionAnchor = null;
+		this.selectionFocus = null;
+
+		this.updateSelectionHighlight();
+	}
+
+	/**
+	 * Get the selected rectangle, or the focused cell if nothing is selected
+	 *
+	 * @returns {{fromRow: number, toRow: number, fromColumn: number, toColumn: number}|null} - inclusive bounds
+	 */
+	getSelection() {
+		const anchor = this.selectionAnchor || this.focusedCell;
+		const focus = this.selectionFocus || anchor;
+
+		if (!anchor.row || !anchor.column) {
+			return null;
+		}
+
+		return {
+			fromRow: Math.min(anchor.row, focus.row),
+			toRow: Math.min(Math.max(anchor.row, focus.row), this.numberOfRows),
+			fromColumn: Math.min(anchor.column, focus.column),
+			toColumn: Math.min(
+				Math.max(anchor.column, focus.column),
+				this.numberOfColumns,
+			),
+		};
+	}
+
+	/**
+	 * Check if more than one cell is selected
+	 *
+	 * @returns {boolean}
+	 */
+	isRangeSelected() {
+		const selection = this.selectionAnchor ? this.getSelection() : null;
+
+		return Boolean(
+			selection &&
+			(selection.fromRow !== selection.toRow ||
+				selection.fromColumn !== selection.toColumn),
+		);
+	}
+
+	/**
+	 * Get the cells inside the selection
+	 *
+	 * @returns {{row: number, column: number, cell: HTMLElement}[]}
+	 */
+	getSelectedCells() {
+		const selection = this.getSelection();
+		const cells = [];
+
+		if (!selection) {
+			return cells;
+		}
+
+		for (let row = selection.fromRow; row <= selection.toRow; row++) {
+			for (
+				let column = selection.fromColumn;
+				column <= selection.toColumn;
+				column++
+			) {
+				const cell = this.getCell(row, column);
+
+				if (cell) {
+					cells.push({ row, column, cell });
+				}
+			}
+		}
+
+		return cells;
+	}
+
+	/**
+	 * Table content as it would be after an arithmetic operation on the selection
+	 *
+	 * @param {string} operation - 'add' an offset, 'scale' by a percentage or 'set' a value
+	 * @param {number} operand - offset, percentage (3 means +3%) or new value
+	 * @returns {string[][]} - content in the getGridContent() layout
+	 */
+	getSelectionResult(operation, operand) {
+		const { skipFirstRow, skipFirstCol } = this.getHeadingSkips();
+		const content = this.getGridContent();
+
+		this.getSelectedCells().forEach(({ row, column, cell }) => {
+			if (
+				(skipFirstRow && row === 1) ||
+				(skipFirstCol && column === 1) ||
+				this.isCellLocked(cell)
+			) {
+				return;
+			}
+
+			content[row - 1][column - 1] = applyArithmetic(
+				cell.innerHTML,
+				operation,
+				operand,
+				this.getNumberFormat(),
+			);
+		});
+
+		return content;
+	}
+
+	/**
+	 * Apply an arithmetic operation to the selected map values
+	 * Axis breakpoints, skipped headings and locked cells inside the selection are left untouched
+	 *
+	 * @param {string} operation - 'add' an offset, 'scale' by a percentage or 'set' a value
+	 * @param {number} operand - offset, percentage (3 means +3%) or new value
+	 */
+	applyToSelection(operation, operand) {
+		const focusedCell = this.focusedCellElem;
+		const content = this.getSelectionResult(operation, operand);
+
+		this.transact(() => {
+			this.getSelectedCells().forEach(({ row, column, cell }) => {
+				if (content[row - 1][column - 1] !== cell.innerHTML) {
+					cell.innerHTML = content[row - 1][column - 1];
+				}
+			});
+		});
+
+		// Rewriting the cell drops the caret, put it back at the end
+		if (focusedCell && document.activeElement === focusedCell) {
+			$.focus(focusedCell, false);
+		}
+
+		if (this.tunes.gradientColors) {
+			this.applyGradientColors();
+		}
+	}
+
+	/**
+	 * Check if a cell is protected from editing
+	 *
+	 * @param {HTMLElement} cell - cell element
+	 * @returns {boolean}
+	 */
+	isCellLocked(cell) {
+		return cell.classList.contains(CSS.cellLocked);
+	}
+
+	/**
+	 * Lock or unlock a cell, axis breakpoints can't be locked
+	 *
+	 * @param {number} row - cell row coordinate
+	 * @param {number} column - cell column coordinate
+	 * @param {boolean} locked - new state
+	 */
+	setCellLocked(row, column, locked) {
+		const cell = this.getCell(row, column);
+
+		if (
+			!cell ||
+			cell.classList.contains(CSS.cellAxis) ||
+			cell.classList.contains(CSS.cellAxisCorner)
+		) {
+			return;
+		}
+
+		cell.classList.toggle(CSS.cellLocked, locked);
+		this.setCellEditable(cell, !locked);
+	}
+
+	/**
+	 * Allow or forbid typing into a cell
+	 * Cells that can't be edited are still focusable, so keyboard navigation passes through them
+	 *
+	 * @param {HTMLElement} cell - cell element
+	 * @param {boolean} editable - new state
 	 */
-	addHeadingAttrToFirstRow() {
-		for (let cellIndex = 1; cellIndex <= this.numberOfColumns; cellIndex++) {
-			let cell = this.getCell(1, cellIndex);
+	setCellEditable(cell, editable) {
+		if (this.readOnly) {
+			return;
+		}
 
-			if (cell) {
-				cell.setAttribute('heading', this.api.i18n.t('Heading'));
-			}
+		cell.contentEditable = editable;
+
+		if (editable) {
+			cell.removeAttribute('tabindex');
+		} else {
+			cell.tabIndex = -1;
 		}
 	}
 
 	/**
-	 * Removes an attribute for displaying the placeholder in the cell
+	 * Lock or unlock the selected cells as one undo step
+	 *
+	 * @param {boolean} locked - new state
 	 */
-	removeHeadingAttrFromFirstRow() {
-		for (let cellIndex = 1; cellIndex <= this.numberOfColumns; cellIndex++) {
-			let cell = this.getCell(1, cellIndex);
+	setSelectionLocked(locked) {
+		this.transact(() => {
+			this.getSelectedCells().forEach(({ row, column }) => {
+				this.setCellLocked(row, column, locked);
+			});
+		});
+	}
 
-			if (cell) {
-				cell.removeAttribute('heading');
-			}
-		}
+	/**
+	 * Unlock every cell as one undo step
+	 */
+	unlockAll() {
+		this.transact(() => this.setLockMask([]));
 	}
 
 	/**
-	 * Adds an attribute for displaying the placeholder in the first column cells
+	 * Locked state of every cell
+	 *
+	 * @returns {boolean[][]} - in the getGridContent() layout
 	 */
-	addHeadingAttrToFirstColumn() {
-		for (let rowIndex = 1; rowIndex <= this.numberOfRows; rowIndex++) {
-			let cell = this.getCell(rowIndex, 1);
+	getLockMask() {
+		const rows = Array.from(this.table.querySelectorAll(`.${CSS.row}`));
 
-			if (cell) {
-				cell.setAttribute('heading', this.api.i18n.t('Heading'));
+		return rows.map((row) =>
+			Array.from(row.querySelectorAll(`.${CSS.cell}`)).map((cell) =>
+				this.isCellLocked(cell),
+			),
+		);
+	}
+
+	/**
+	 * Lock exactly the cells marked in a mask
+	 *
+	 * @param {boolean[][]} mask - in the getGridContent() layout, missing cells are unlocked
+	 */
+	setLockMask(mask) {
+		for (let i = 1; i <= this.numberOfRows; i++) {
+			for (let j = 1; j <= this.numberOfColumns; j++) {
+				this.setCellLocked(
+					i,
+					j,
+					Boolean(mask[i - 1] && mask[i - 1][j - 1]),
+				);
 			}
 		}
 	}
 
 	/**
-	 * Removes an attribute for displaying the placeholder in the first column cells
+	 * Lock cells by their saved map coordinates
+	 *
+	 * @param {number[][]} lockedCells - [row, column] pairs, 0-based, axes not counted
 	 */
-	removeHeadingAttrFromFirstColumn() {
-		for (let rowIndex = 1; rowIndex <= this.numberOfRows; rowIndex++) {
-			let cell = this.getCell(rowIndex, 1);
+	setLockedCells(lockedCells) {
+		const rowOffset = hasXAxis(this.tunes.axes) ? 2 : 1;
+		const columnOffset = hasYAxis(this.tunes.axes) ? 2 : 1;
 
-			if (cell) {
-				cell.removeAttribute('heading');
+		lockedCells.forEach(([row, column]) => {
+			this.setCellLocked(row + rowOffset, column + columnOffset, true);
+		});
+	}
+
+	/**
+	 * Show the values a change would produce on top of the cells, without changing them
+	 * Changed cells are tinted red when the value grows and blue when it drops, stronger for bigger changes
+	 *
+	 * @param {string[][]} content - proposed content in the getGridContent() layout
+	 */
+	showPreview(content) {
+		const current = this.getGridContent();
+		const changes = [];
+		let maxChange = 0;
+
+		this.clearPreview();
+
+		content.forEach((row, i) => {
+			row.forEach((value, j) => {
+				const cell = this.getCell(i + 1, j + 1);
+
+				if (!cell || !current[i] || value === current[i][j]) {
+					return;
+				}
+
+				const before = parseNumericValue(
+					current[i][j],
+					this.getNumberFormat(),
+				);
+				const after = parseNumericValue(value, this.getNumberFormat());
+				const change =
+					before !== null && after !== null ? after - before : 0;
+
+				maxChange = Math.max(maxChange, Math.abs(change));
+				changes.push({ cell, value, change });
+			});
+		});
+
+		changes.forEach(({ cell, value, change }) => {
+			const alpha = maxChange
+				? (0.15 + (0.6 * Math.abs(change)) / maxChange).toFixed(2)
+				: 0.3;
+			let color = `rgba(128, 128, 128, ${alpha})`;
+
+			if (change > 0) {
+				color = `rgba(226, 74, 74, ${alpha})`;
+			} else if (change < 0) {
+				color = `rgba(56, 132, 255, ${alpha})`;
 			}
+
+			cell.dataset.preview = $.make('div', null, {
+				innerHTML: value,
+			}).textContent;
+			cell.style.setProperty('--tc-preview-color', color);
+			cell.classList.add(CSS.cellPreview);
+		});
+	}
+
+	/**
+	 * Remove the preview shown by showPreview()
+	 */
+	clearPreview() {
+		const cells = this.table.querySelectorAll(`.${CSS.cellPreview}`);
+
+		Array.from(cells).forEach((cell) => {
+			cell.classList.remove(CSS.cellPreview);
+			cell.style.removeProperty('--tc-preview-color');
+			delete cell.dataset.preview;
+		});
+	}
+
+	/**
+	 * Highlight the selected rectangle, a single cell is not highlighted
+	 */
+	updateSelectionHighlight() {
+		const highlighted = this.table.querySelectorAll(`.${CSS.cellInRange}`);
+
+		Array.from(highlighted).forEach((cell) => {
+			cell.classList.remove(CSS.cellInRange);
+		});
+
+		if (!this.isRangeSelected()) {
+			return;
 		}
+
+		this.getSelectedCells().forEach(({ cell }) => {
+			cell.classList.add(CSS.cellInRange);
+		});
 	}
 
 	/**
@@ -1196,7 +2515,481 @@ export default class Table {
 			data.push(cells.map((cell) => cell.innerHTML));
 		}
 
-		return data;
+		return data;
+	}
+
+	/**
+	 * Collects the cells HTML of every row, empty rows included
+	 * Row and column indexes match the cell positions, unlike getData()
+	 *
+	 * @returns {string[][]}
+	 */
+	getGridContent() {
+		const rows = Array.from(this.table.querySelectorAll(`.${CSS.row}`));
+
+		return rows.map((row) =>
+			Array.from(row.querySelectorAll(`.${CSS.cell}`)).map(
+				(cell) => cell.innerHTML,
+			),
+		);
+	}
+
+	/**
+	 * Collects the text of the cells into a two-dimensional array
+	 * Empty rows are skipped the same way as in getData(), numbers are written with a point and without grouping
+	 *
+	 * @returns {string[][]}
+	 */
+	getTextData() {
+		const rows = Array.from(this.table.querySelectorAll(`.${CSS.row}`));
+
+		return rows
+			.map((row) =>
+				Array.from(row.querySelectorAll(`.${CSS.cell}`)).map((cell) =>
+					toPlainNumber(cell.textContent.trim(), this.getNumberFormat()),
+				),
+			)
+			.filter((cells) => cells.some((text) => text));
+	}
+
+	/**
+	 * Collects the map body and its axis breakpoints separately
+	 * Without axes the body is the same as getData(), locked cells are [row, column] pairs of the body
+	 *
+	 * @param {boolean} [raw] - return raw counts in the physical view, the way the map is saved
+	 * @returns {{xAxis: (number|null)[]|null, yAxis: (number|null)[]|null, content: string[][], lockedCells: number[][]}}
+	 */
+	getMapData(raw = false) {
+		const withX = hasXAxis(this.tunes.axes);
+		const withY = hasYAxis(this.tunes.axes);
+		const format = this.getNumberFormat();
+		const grid =
+			raw && this.tunes.physicalView
+				? convertGrid(
+						this.getGridContent(),
+						this.tunes.units,
+						this.getUnitLayout(),
+						false,
+						this.tunes.numberFormat,
+					)
+				: this.getGridContent();
+		const xAxis = withX
+			? parseAxis(grid[0].slice(withY ? 1 : 0), format)
+			: null;
+		const yAxisCells = [];
+		const content = [];
+		const lockedCells = [];
+
+		for (let i = withX ? 2 : 1; i <= this.numberOfRows; i++) {
+			const cells = Array.from(
+				this.getRow(i).querySelectorAll(`.${CSS.cell}`),
+			);
+			const row = [...grid[i - 1]];
+			const isEmptyRow = cells.every((cell) => !cell.textContent.trim());
+
+			if (isEmptyRow) {
+				continue;
+			}
+
+			if (withY) {
+				cells.shift();
+				yAxisCells.push(row.shift());
+			}
+
+			cells.forEach((cell, column) => {
+				if (this.isCellLocked(cell)) {
+					lockedCells.push([content.length, column]);
+				}
+			});
+
+			content.push(row);
+		}
+
+		return {
+			xAxis,
+			yAxis: withY ? parseAxis(yAxisCells, format) : null,
+			content,
+			lockedCells,
+		};
+	}
+
+	/**
+	 * Write breakpoints into an axis, the table grows or shrinks to their number
+	 * Map values are kept in place, new cells are empty
+	 *
+	 * @param {string} axis - 'x' or 'y'
+	 * @param {number[]} breakpoints - new breakpoints
+	 */
+	setAxisBreakpoints(axis, breakpoints) {
+		const isX = axis === 'x';
+		const withX = hasXAxis(this.tunes.axes);
+		const withY = hasYAxis(this.tunes.axes);
+
+		if (isX ? !withX : !withY) {
+			return;
+		}
+
+		// The other axis takes the first cell of the line
+		const offset = (isX ? withY : withX) ? 1 : 0;
+		const size = breakpoints.length + offset;
+
+		if (isX) {
+			while (this.numberOfColumns > size) {
+				this.deleteColumn(this.numberOfColumns);
+			}
+
+			while (this.numberOfColumns < size) {
+				const numberOfColumns = this.numberOfColumns;
+
+				this.addColumn();
+
+				if (this.numberOfColumns === numberOfColumns) {
+					break;
+				}
+			}
+		} else {
+			while (this.numberOfRows > size) {
+				this.deleteRow(this.numberOfRows);
+			}
+
+			while (this.numberOfRows < size) {
+				if (!this.addRow()) {
+					break;
+				}
+			}
+		}
+
+		breakpoints.forEach((value, index) => {
+			const cell = isX
+				? this.getCell(1, index + 1 + offset)
+				: this.getCell(index + 1 + offset, 1);
+
+			if (cell) {
+				cell.innerHTML = localizeNumber(
+					String(value),
+					this.getNumberFormat(),
+				);
+			}
+		});
+
+		this.validateAxes();
+	}
+
+	/**
+	 * Replace the whole content, keeping locked cells as they are
+	 *
+	 * @param {string[][]} content - new content in the getGridContent() layout
+	 * @returns {boolean} - false if a locked cell would fall outside the new content
+	 */
+	setContentKeepingLocks(content) {
+		const grid = this.getGridContent();
+		const locked = this.getLockMask();
+		const width = content.reduce((max, row) => Math.max(max, row.length), 0);
+		const outside = locked.some((row, i) =>
+			row.some(
+				(isLocked, j) => isLocked && (i >= content.length || j >= width),
+			),
+		);
+
+		if (outside) {
+			this.showNotice(
+				this.api.i18n.t(
+					'The imported table is smaller than the locked cells. Unlock them first',
+				),
+			);
+
+			return false;
+		}
+
+		this.setContent(
+			content.map((row, i) =>
+				Array.from({ length: width }, (_, j) =>
+					locked[i] && locked[i][j] ? grid[i][j] : row[j] || '',
+				),
+			),
+		);
+		this.setLockMask(locked);
+
+		return true;
+	}
+
+	/**
+	 * Breakpoints that locked cells sit on
+	 *
+	 * @returns {{x: number[], y: number[]}} - X and Y breakpoints, empty without the axis
+	 */
+	getLockedBreakpoints() {
+		const withX = hasXAxis(this.tunes.axes);
+		const withY = hasYAxis(this.tunes.axes);
+		const rowOffset = withX ? 1 : 0;
+		const columnOffset = withY ? 1 : 0;
+		const grid = this.getGridContent();
+		const format = this.getNumberFormat();
+		const result = { x: [], y: [] };
+
+		this.getLockMask().forEach((row, i) => {
+			row.forEach((isLocked, j) => {
+				if (!isLocked || i < rowOffset || j < columnOffset) {
+					return;
+				}
+
+				if (withX) {
+					result.x.push(parseNumericValue(grid[0][j], format));
+				}
+
+				if (withY) {
+					result.y.push(parseNumericValue(grid[i][0], format));
+				}
+			});
+		});
+
+		return result;
+	}
+
+	/**
+	 * Re-interpolate the map onto new breakpoints and resize the table to them
+	 * Locked cells keep their values and stay locked when both of their breakpoints are still on the axes
+	 *
+	 * @param {number[]|null} xAxis - new X breakpoints, ignored without the X axis
+	 * @param {number[]|null} yAxis - new Y breakpoints, ignored without the Y axis
+	 * @returns {boolean} - false if the current or the new breakpoints are not valid
+	 */
+	resample(xAxis, yAxis) {
+		const withX = hasXAxis(this.tunes.axes);
+		const withY = hasYAxis(this.tunes.axes);
+		const rowOffset = withX ? 1 : 0;
+		const columnOffset = withY ? 1 : 0;
+		const grid = this.getGridContent();
+		const locked = this.getLockMask();
+		const format = this.getNumberFormat();
+		const body = grid.slice(rowOffset).map((row) => row.slice(columnOffset));
+		const currentX = withX
+			? parseAxis(grid[0].slice(columnOffset), format)
+			: null;
+		const currentY = withY
+			? parseAxis(
+					grid.slice(rowOffset).map((row) => row[0]),
+					format,
+				)
+			: null;
+		const newX = withX ? xAxis : null;
+		const newY = withY ? yAxis : null;
+		const isInvalid = (axis) =>
+			axis && (!axis.length || getAxisErrors(axis).length > 0);
+
+		if ([currentX, currentY, newX, newY].some(isInvalid)) {
+			return false;
+		}
+
+		// Resampled values keep the precision of the map
+		const decimals = getMaxDecimalPlaces(body, false, false, format);
+		const values = resampleMap(
+			currentX,
+			currentY,
+			body.map((row) => row.map((cell) => parseNumericValue(cell, format))),
+			newX,
+			newY,
+		);
+		const content = values.map((row) =>
+			row.map((value) =>
+				value === null ? '' : formatNumber(value, decimals, format),
+			),
+		);
+		const lockMask = [];
+
+		locked.forEach((row, i) => {
+			row.forEach((isLocked, j) => {
+				if (!isLocked || i < rowOffset || j < columnOffset) {
+					return;
+				}
+
+				const newRow = withY
+					? newY.indexOf(currentY[i - rowOffset])
+					: i - rowOffset;
+				const newColumn = withX
+					? newX.indexOf(currentX[j - columnOffset])
+					: j - columnOffset;
+
+				if (newRow >= 0 && newColumn >= 0) {
+					content[newRow][newColumn] =
+						body[i - rowOffset][j - columnOffset];
+					lockMask[newRow + rowOffset] =
+						lockMask[newRow + rowOffset] || [];
+					lockMask[newRow + rowOffset][newColumn + columnOffset] = true;
+				}
+			});
+		});
+
+		this.setContent(
+			composeGrid(content, newX || undefined, newY || undefined, format),
+		);
+		this.setLockMask(lockMask);
+
+		return true;
+	}
+
+	/**
+	 * Swap rows and columns
+	 * Headings, axes, axis titles, units and locked cells go along, so the first row becomes the first column
+	 *
+	 * @returns {boolean} - false if the transposed table would exceed the maximum size
+	 */
+	transpose() {
+		const grid = this.getGridContent();
+		const locked = this.getLockMask();
+		const rows = this.numberOfColumns;
+		const columns = this.numberOfRows;
+		const { maxrows, maxcols } = this.config || {};
+
+		if ((maxrows && rows > maxrows) || (maxcols && columns > maxcols)) {
+			return false;
+		}
+
+		const flip = (matrix) =>
+			Array.from({ length: rows }, (_, i) =>
+				Array.from({ length: columns }, (__, j) => (matrix[j] || [])[i]),
+			);
+		const headings = { row: 'column', column: 'row' };
+		const axes = { x: 'y', y: 'x' };
+		const { horizontalTitle, verticalTitle } = this.tunes;
+
+		this.clearSelection();
+		this.setContent(flip(grid).map((row) => row.map((cell) => cell || '')));
+		this.setHeadingsSetting(
+			headings[this.tunes.withHeadings] || this.tunes.withHeadings,
+		);
+		this.setAxesSetting(axes[this.tunes.axes] || this.tunes.axes);
+		this.setLockMask(flip(locked));
+		this.setHorizontalTitle(verticalTitle || '');
+		this.setVerticalTitle(horizontalTitle || '');
+		this.tunes.units = {
+			...this.tunes.units,
+			x: this.tunes.units.y,
+			y: this.tunes.units.x,
+		};
+		this.updateUnitLabels();
+
+		if (this.datalog) {
+			this.datalog.samples = this.datalog.samples.map(({ x, y, value }) => ({
+				x: y,
+				y: x,
+				value,
+			}));
+			this.updateDatalogOverlay();
+		}
+
+		// Axes joined or left the gradient range
+		if (this.tunes.gradientColors) {
+			this.applyGradientColors();
+		}
+
+		return true;
+	}
+
+	/**
+	 * Reverse the order of the columns or rows
+	 * The heading or axis line stays first and headings move with their values
+	 *
+	 * @param {string} direction - 'horizontal' reverses the columns, 'vertical' the rows
+	 * @returns {boolean} - false if the reversed lines have breakpoints, which must keep increasing
+	 */
+	mirror(direction) {
+		const { firstRow, firstColumn } = this.getHeadingLines();
+		const horizontal = direction === 'horizontal';
+
+		if (horizontal ? hasXAxis(this.tunes.axes) : hasYAxis(this.tunes.axes)) {
+			return false;
+		}
+
+		const grid = this.getGridContent();
+		const locked = this.getLockMask();
+		const reverse = (matrix) => {
+			if (horizontal) {
+				const offset = firstColumn ? 1 : 0;
+
+				return matrix.map((row) => [
+					...row.slice(0, offset),
+					...row.slice(offset).reverse(),
+				]);
+			}
+
+			const offset = firstRow ? 1 : 0;
+
+			return [...matrix.slice(0, offset), ...matrix.slice(offset).reverse()];
+		};
+
+		this.clearSelection();
+		this.setContent(reverse(grid));
+		this.setLockMask(reverse(locked));
+
+		return true;
+	}
+
+	/**
+	 * Read the map at an arbitrary operating point, the way an ECU does:
+	 * bilinear interpolation between breakpoints, clamped at the edges
+	 *
+	 * @param {number} x - operating point on the X axis (e.g. rpm)
+	 * @param {number} y - operating point on the Y axis (e.g. load)
+	 * @returns {number|null} - interpolated value, null if the axes are missing/invalid or the cells are not numeric
+	 */
+	lookup(x, y) {
+		const { xAxis, yAxis, values } = this.getPhysicalMap();
+
+		if (!xAxis || !yAxis) {
+			return null;
+		}
+
+		return interpolate2D(xAxis, yAxis, values, x, y);
+	}
+
+	/**
+	 * Read a single-row (or single-column) curve at an arbitrary point
+	 * Uses the X axis with the first row, or the Y axis with the first column when there is no X axis
+	 *
+	 * @param {number} x - operating point on the curve axis
+	 * @returns {number|null} - interpolated value, null if the axis is missing/invalid or the cells are not numeric
+	 */
+	lookup1D(x) {
+		const { xAxis, yAxis, values } = this.getPhysicalMap();
+
+		if (xAxis) {
+			return interpolate1D(xAxis, values[0] || [], x);
+		}
+
+		if (yAxis) {
+			return interpolate1D(
+				yAxis,
+				values.map((row) => row[0]),
+				x,
+			);
+		}
+
+		return null;
+	}
+
+	/**
+	 * Breakpoints and map values in physical units, the way an ECU and a datalog see them
+	 * Raw counts are converted with their scalings, so the result is the same in both views
+	 *
+	 * @returns {{xAxis: (number|null)[]|null, yAxis: (number|null)[]|null, values: (number|null)[][]}}
+	 */
+	getPhysicalMap() {
+		const { xAxis, yAxis, content } = this.getMapData();
+		const { units, physicalView } = this.tunes;
+		const format = this.getNumberFormat();
+		const convert = (value, scaling) =>
+			value === null || physicalView ? value : toPhysical(value, scaling);
+
+		return {
+			xAxis: xAxis && xAxis.map((value) => convert(value, units.x)),
+			yAxis: yAxis && yAxis.map((value) => convert(value, units.y)),
+			values: content.map((row) =>
+				row.map((cell) =>
+					convert(parseNumericValue(cell, format), units.value),
+				),
+			),
+		};
 	}
 
 	/**
@@ -1219,7 +3012,7 @@ export default class Table {
 	/**
 	 * Set color scheme for gradient colors
 	 *
-	 * @param {string} schemeName - name of color scheme (THERMAL, GRAYSCALE, VIRIDIS, AUTOMOTIVE)
+	 * @param {string} schemeName - key of a registered color scheme, e.g. THERMAL
 	 */
 	setColorScheme(schemeName) {
 		this.tunes.colorScheme = schemeName;
@@ -1231,28 +3024,77 @@ export default class Table {
 
 	/**
 	 * Apply gradient colors to all cells based on their numeric values
+	 * The ends of the scale follow the gradient range: the map min/max, fixed bounds or symmetric around a center
+	 * With row or column normalization every line is colored against its own values
 	 */
 	applyGradientColors() {
-		const content = this.getData();
+		const content = this.getGridContent();
 		const colorScheme =
 			COLOR_SCHEMES[this.tunes.colorScheme] || COLOR_SCHEMES.THERMAL;
+		const { gradientNormalization: normalization, gradientScale } =
+			this.tunes;
+		const format = this.getNumberFormat();
 
-		// Determine what to skip based on skipHeadings setting and actual heading configuration
-		const skipRow =
-			this.tunes.skipHeadings &&
-			(this.tunes.withHeadings === 'row' ||
-				this.tunes.withHeadings === 'both');
-		const skipCol =
-			this.tunes.skipHeadings &&
-			(this.tunes.withHeadings === 'column' ||
-				this.tunes.withHeadings === 'both');
+		// Axes and skipped headings are not part of the value range
+		const { skipFirstRow: skipRow, skipFirstCol: skipCol } =
+			this.getHeadingSkips();
 
-		const { min, max, hasValues } = getMinMaxValues(content, skipRow, skipCol);
+		if (!getMinMaxValues(content, skipRow, skipCol, format).hasValues) {
+			this.removeLegend();
 
-		if (!hasValues) {
 			return;
 		}
 
+		const range = normalizeGradientRange(this.tunes.gradientRange);
+		const createScale = (part, skipFirstRow, skipFirstColumn) => {
+			const { min, max } = getGradientBounds(
+				getMinMaxValues(part, skipFirstRow, skipFirstColumn, format),
+				range,
+			);
+
+			return createColorScale(
+				gradientScale,
+				min,
+				max,
+				getNumericValues(part, skipFirstRow, skipFirstColumn, format),
+			);
+		};
+		const scale = createScale(content, skipRow, skipCol);
+		const lines =
+			normalization === 'row' || normalization === 'column'
+				? getLineContents(content, normalization).map((line) =>
+						normalization === 'row'
+							? createScale(line, false, skipCol)
+							: createScale(line, skipRow, false),
+					)
+				: null;
+
+		// Typed bounds are shown as precisely as they were entered
+		const bounds = {
+			auto: [],
+			fixed: [range.min, range.max],
+			centered: [range.center],
+		}[range.mode];
+		const decimals = Math.max(
+			getMaxDecimalPlaces(content, skipRow, skipCol, format),
+			...bounds.map((bound) => getDecimalPlaces(String(bound))),
+		);
+
+		if (lines && (range.mode !== 'fixed' || gradientScale === 'quantile')) {
+			// Every line has its own scale, the ends can only be named
+			const line = normalization === 'row' ? 'Row' : 'Column';
+
+			this.updateLegend([
+				this.api.i18n.t(`${line} min`),
+				range.mode === 'centered' && gradientScale !== 'quantile'
+					? formatNumber(range.center, decimals, format)
+					: '',
+				this.api.i18n.t(`${line} max`),
+			]);
+		} else {
+			this.updateLegend(getLegendLabels(scale, decimals, format));
+		}
+
 		const startRow = skipRow ? 2 : 1;
 		const startCol = skipCol ? 2 : 1;
 
@@ -1269,13 +3111,14 @@ export default class Table {
 					continue;
 				}
 
-				const value = parseNumericValue(cell.innerHTML);
+				const value = parseNumericValue(cell.innerHTML, format);
 
 				if (value !== null) {
-					const { backgroundColor, textColor } = getCellColors(
+					const { backgroundColor, textColor } = getScaledCellColors(
 						value,
-						min,
-						max,
+						lines
+							? lines[normalization === 'row' ? i - 1 : j - 1]
+							: scale,
 						colorScheme,
 					);
 					cell.style.backgroundColor = backgroundColor;
@@ -1302,6 +3145,512 @@ export default class Table {
 				}
 			}
 		}
+
+		this.removeLegend();
+	}
+
+	/**
+	 * Draw the scale bar under the table: the gradient of the active scheme with labels at its start, middle and end
+	 *
+	 * @param {string[]} labels - texts under the start, the middle and the end of the bar
+	 */
+	updateLegend(labels) {
+		const colorScheme =
+			COLOR_SCHEMES[this.tunes.colorScheme] || COLOR_SCHEMES.THERMAL;
+		let legend = this.wrapper.querySelector(`.${CSS.legend}`);
+
+		if (!legend) {
+			legend = $.make('div', CSS.legend);
+			legend.appendChild($.make('div', CSS.legendBar));
+			legend.appendChild($.make('div', CSS.legendLabels));
+			legend.appendChild($.make('span', CSS.legendUnit));
+			this.wrapper.appendChild(legend);
+		}
+
+		legend.querySelector(`.${CSS.legendBar}`).style.background =
+			getGradientCSS(colorScheme);
+
+		const container = legend.querySelector(`.${CSS.legendLabels}`);
+
+		container.innerHTML = '';
+		labels
+			.map((text) => $.make('span', null, { textContent: text }))
+			.forEach((label) => container.appendChild(label));
+
+		legend.querySelector(`.${CSS.legendUnit}`).textContent =
+			this.getDisplayUnit('value');
+	}
+
+	/**
+	 * Remove the scale bar
+	 */
+	removeLegend() {
+		const legend = this.wrapper.querySelector(`.${CSS.legend}`);
+
+		if (legend) {
+			legend.remove();
+		}
+	}
+
+	/**
+	 * Set which values the ends of the color scale stand for
+	 *
+	 * @param {import('./utils/automotive').GradientRange} range - range settings
+	 */
+	setGradientRange(range) {
+		this.tunes.gradientRange = normalizeGradientRange(range);
+
+		if (this.tunes.gradientColors) {
+			this.applyGradientColors();
+		}
+	}
+
+	/**
+	 * Set whether the colors are scaled over the whole map or over every row or column
+	 *
+	 * @param {string} normalization - 'global', 'row' or 'column'
+	 */
+	setGradientNormalization(normalization) {
+		this.tunes.gradientNormalization = normalization;
+
+		if (this.tunes.gradientColors) {
+			this.applyGradientColors();
+		}
+	}
+
+	/**
+	 * Set how values are spread over the colors
+	 *
+	 * @param {string} scale - 'linear', 'log' or 'quantile'
+	 */
+	setGradientScale(scale) {
+		this.tunes.gradientScale = scale;
+
+		if (this.tunes.gradientColors) {
+			this.applyGradientColors();
+		}
+	}
+
+	/**
+	 * Number format of the cells as they are shown
+	 * Integer notations are for raw values, physical values are always decimal
+	 *
+	 * @returns {import('./utils/numbers').NumberFormat}
+	 */
+	getNumberFormat() {
+		const format = this.tunes.numberFormat;
+
+		return this.tunes.physicalView && format.notation !== 'decimal'
+			? { ...format, notation: 'decimal' }
+			: format;
+	}
+
+	/**
+	 * Set how numbers are read from and written into the cells
+	 * Numbers are rewritten with the new separators, map values also get the new decimals and notation
+	 *
+	 * @param {import('./utils/numbers').NumberFormat} format - separators, suffixes, decimals and notation
+	 */
+	setNumberFormat(format) {
+		const previous = this.getNumberFormat();
+
+		this.tunes.numberFormat = normalizeNumberFormat(format);
+		this.rewriteNumbers(previous, this.getNumberFormat());
+		this.validateAxes();
+
+		if (this.tunes.gradientColors) {
+			this.applyGradientColors();
+		}
+	}
+
+	/**
+	 * Rewrite the numbers of all cells from one format to another
+	 *
+	 * @param {import('./utils/numbers').NumberFormat} from - format the cells are written in
+	 * @param {import('./utils/numbers').NumberFormat} to - new format
+	 */
+	rewriteNumbers(from, to) {
+		const { firstRow, firstColumn } = this.getHeadingLines();
+
+		this.setContent(
+			this.getGridContent().map((row, i) =>
+				row.map((cell, j) =>
+					reformatNumber(
+						cell,
+						from,
+						to,
+						!(firstRow && i === 0) && !(firstColumn && j === 0),
+					),
+				),
+			),
+		);
+	}
+
+	/**
+	 * Set the units and the raw to physical conversions of the axes and the values
+	 * In the physical view the cells are converted again, so they keep showing the same raw counts
+	 *
+	 * @param {import('./utils/units').Units} units - units of the X axis, the Y axis and the values
+	 */
+	setUnits(units) {
+		const next = normalizeUnits(units);
+
+		if (this.tunes.physicalView) {
+			const layout = this.getUnitLayout();
+			const format = this.tunes.numberFormat;
+			const raw = convertGrid(
+				this.getGridContent(),
+				this.tunes.units,
+				layout,
+				false,
+				format,
+			);
+
+			this.setContent(convertGrid(raw, next, layout, true, format));
+		}
+
+		this.tunes.units = next;
+		this.updateUnitLabels();
+
+		// Breakpoints are compared in physical units, their raw counts changed meaning
+		if (this.datalog) {
+			this.updateDatalogOverlay();
+		}
+	}
+
+	/**
+	 * Rewrite the map values or an axis in another unit, e.g. kPa to psi
+	 * Locked cells are converted as well, a map with half of its values in the old unit would be wrong
+	 * A scaled dimension keeps its raw counts, only its scaling changes so the physical values are in the new unit
+	 *
+	 * @param {string} dimension - 'x', 'y' or 'value'
+	 * @param {{factor: number, offset: number}} conversion - new = old * factor + offset
+	 * @param {string} unit - new unit
+	 */
+	convertUnits(dimension, conversion, unit) {
+		const scaling = this.tunes.units[dimension];
+		const { factor, offset } = conversion;
+
+		if (hasScaling(scaling)) {
+			this.setUnits({
+				...this.tunes.units,
+				[dimension]: {
+					unit,
+					factor: scaling.factor * factor,
+					offset: scaling.offset * factor + offset,
+				},
+			});
+
+			return;
+		}
+
+		const { xAxis, yAxis, firstRow, firstColumn } = this.getUnitLayout();
+		const isTarget = (i, j) => {
+			const inFirstRow = i === 0 && firstRow;
+			const inFirstColumn = j === 0 && firstColumn;
+
+			if (dimension === 'x') {
+				return xAxis && i === 0 && !inFirstColumn;
+			}
+
+			if (dimension === 'y') {
+				return yAxis && j === 0 && !inFirstRow;
+			}
+
+			return !inFirstRow && !inFirstColumn;
+		};
+		const format = this.getNumberFormat();
+		const grid = this.getGridContent();
+		const decimals = grid.reduce(
+			(max, row, i) =>
+				row.reduce(
+					(rowMax, cell, j) =>
+						isTarget(i, j) && parseNumericValue(cell, format) !== null
+							? Math.max(rowMax, getDecimalPlaces(cell, format))
+							: rowMax,
+					max,
+				),
+			0,
+		);
+		const places = getConvertedDecimals(decimals, factor);
+		const write = (value) =>
+			dimension === 'value'
+				? formatNumber(value, places, format)
+				: localizeNumber(value.toFixed(places), format);
+
+		this.setContent(
+			grid.map((row, i) =>
+				row.map((cell, j) => {
+					const value = parseNumericValue(cell, format);
+
+					return isTarget(i, j) && value !== null
+						? write(value * factor + offset)
+						: cell;
+				}),
+			),
+		);
+		this.setUnits({
+			...this.tunes.units,
+			[dimension]: { ...scaling, unit },
+		});
+	}
+
+	/**
+	 * Show the cells as physical values or as the raw counts they are saved as
+	 * The cells are converted, so editing and all calculations work in the visible values
+	 *
+	 * @param {boolean} enabled - true shows physical values
+	 */
+	setPhysicalView(enabled) {
+		if (Boolean(this.tunes.physicalView) === Boolean(enabled)) {
+			return;
+		}
+
+		this.setContent(
+			convertGrid(
+				this.getGridContent(),
+				this.tunes.units,
+				this.getUnitLayout(),
+				enabled,
+				this.tunes.numberFormat,
+			),
+		);
+		this.tunes.physicalView = enabled;
+		this.updateUnitLabels();
+
+		if (this.datalog) {
+			this.updateDatalogOverlay();
+		}
+	}
+
+	/**
+	 * Which leading lines hold breakpoints or headings, for converting the grid
+	 *
+	 * @returns {{xAxis: boolean, yAxis: boolean, firstRow: boolean, firstColumn: boolean}}
+	 */
+	getUnitLayout() {
+		const { firstRow, firstColumn } = this.getHeadingLines();
+
+		return {
+			xAxis: hasXAxis(this.tunes.axes),
+			yAxis: hasYAxis(this.tunes.axes),
+			firstRow,
+			firstColumn,
+		};
+	}
+
+	/**
+	 * Unit of the visible values of a dimension
+	 * Scaled dimensions show raw counts outside the physical view, their unit doesn't apply then
+	 *
+	 * @param {string} dimension - 'x', 'y' or 'value'
+	 * @returns {string}
+	 */
+	getDisplayUnit(dimension) {
+		const scaling = this.tunes.units[dimension];
+
+		if (hasScaling(scaling) && !this.tunes.physicalView) {
+			return this.api.i18n.t('raw');
+		}
+
+		return scaling.unit;
+	}
+
+	/**
+	 * Show the units next to the axis titles and on the scale bar
+	 */
+	updateUnitLabels() {
+		const labels = [
+			[CSS.axisTitleHorizontal, 'x'],
+			[CSS.axisTitleVertical, 'y'],
+		];
+
+		labels.forEach(([className, dimension]) => {
+			const title = this.wrapper.querySelector(`.${className}`);
+
+			if (title) {
+				title.setAttribute('data-unit', this.getDisplayUnit(dimension));
+			}
+		});
+
+		const legendUnit = this.wrapper.querySelector(`.${CSS.legendUnit}`);
+
+		if (legendUnit) {
+			legendUnit.textContent = this.getDisplayUnit('value');
+		}
+	}
+
+	/**
+	 * Describe a map cell with its breakpoints and units in its tooltip
+	 * Scaled values also show the other view, e.g. the raw count next to the physical value
+	 *
+	 * @param {MouseEvent} event - mouse over a cell
+	 */
+	updateCellTooltip(event) {
+		const cell = event.target.closest(`.${CSS.cell}`);
+
+		if (
+			!cell ||
+			!hasUnits(this.tunes.units) ||
+			cell.classList.contains(CSS.cellAxis) ||
+			cell.classList.contains(CSS.cellAxisCorner)
+		) {
+			return;
+		}
+
+		const { row, column } = this.getCellPosition(cell);
+		const { xAxis, yAxis, firstRow, firstColumn } = this.getUnitLayout();
+
+		if ((firstRow && row === 1) || (firstColumn && column === 1)) {
+			return;
+		}
+
+		const text = (html) => html.replace(/<[^>]*>/g, '').trim();
+		const value = text(cell.innerHTML);
+		const scaling = this.tunes.units.value;
+		const parts = [];
+
+		if (xAxis) {
+			parts.push(
+				withUnit(
+					text(this.getCell(1, column).innerHTML),
+					this.getDisplayUnit('x'),
+				),
+			);
+		}
+
+		if (yAxis) {
+			parts.push(
+				withUnit(
+					text(this.getCell(row, 1).innerHTML),
+					this.getDisplayUnit('y'),
+				),
+			);
+		}
+
+		let description = withUnit(value, this.getDisplayUnit('value'));
+
+		const convert = (physical) =>
+			convertCell(value, scaling, physical, this.getNumberFormat());
+
+		if (hasScaling(scaling) && value !== convert(true)) {
+			description = this.tunes.physicalView
+				? `${description} (${this.api.i18n.t('raw')} ${convert(false)})`
+				: `${description} (${withUnit(convert(true), scaling.unit)})`;
+		}
+
+		cell.title = parts.length
+			? `${parts.join(', ')}: ${description}`
+			: description;
+	}
+
+	/**
+	 * Draw logged samples over the map, every sample counts for the cell of its nearest breakpoints
+	 * The datalog is not saved with the block and not part of the undo history
+	 *
+	 * @param {import('./utils/datalog').Sample[]} samples - logged operating points and measured values, in physical units
+	 * @param {object} options - display options
+	 * @param {string} options.view - 'hits', 'mean' or 'both'
+	 * @param {number} options.minHits - cells with fewer samples are marked as not trustworthy
+	 * @param {number} options.decimals - decimal places of the mean values
+	 * @returns {boolean} - false if the axes are not valid breakpoints
+	 */
+	setDatalog(samples, { view, minHits, decimals }) {
+		this.datalog = { samples, view, minHits, decimals };
+
+		return this.updateDatalogOverlay();
+	}
+
+	/**
+	 * Show the hit counts, the mean values or both in the cells
+	 *
+	 * @param {string} view - 'hits', 'mean' or 'both'
+	 */
+	setDatalogView(view) {
+		if (this.datalog) {
+			this.datalog.view = view;
+			this.updateDatalogOverlay();
+		}
+	}
+
+	/**
+	 * Remove the datalog from the map
+	 */
+	clearDatalog() {
+		this.datalog = null;
+		this.updateDatalogOverlay();
+	}
+
+	/**
+	 * Bin the datalog by the current breakpoints
+	 * Breakpoints are compared in physical units, also when the cells show raw counts
+	 *
+	 * @returns {import('./utils/datalog').DatalogBins|null} - null without axes or with invalid breakpoints
+	 */
+	getDatalogBins() {
+		const { xAxis, yAxis } = this.getPhysicalMap();
+		const isInvalid = (axis) =>
+			axis && (!axis.length || getAxisErrors(axis).length > 0);
+
+		if ((!xAxis && !yAxis) || isInvalid(xAxis) || isInvalid(yAxis)) {
+			return null;
+		}
+
+		return binSamples(this.datalog.samples, xAxis, yAxis);
+	}
+
+	/**
+	 * Draw the datalog into the map cells: the hits and/or mean in the corner and a frame that darkens with the hits
+	 *
+	 * @returns {boolean} - false if the datalog can't be binned, the overlay is removed then
+	 */
+	updateDatalogOverlay() {
+		this.table.querySelectorAll(`.${CSS.cellDatalog}`).forEach((cell) => {
+			cell.classList.remove(CSS.cellDatalog, CSS.cellDatalogSparse);
+			cell.removeAttribute('data-datalog');
+			cell.style.removeProperty('--tc-datalog-coverage');
+		});
+
+		const bins = this.datalog ? this.getDatalogBins() : null;
+
+		if (!bins) {
+			return !this.datalog;
+		}
+
+		const { view, minHits, decimals } = this.datalog;
+		const format = { ...this.getNumberFormat(), notation: 'decimal' };
+		const maxHits = Math.max(...bins.hits.map((row) => Math.max(...row)));
+		const { firstRow, firstColumn } = this.getHeadingLines();
+
+		bins.hits.forEach((row, i) => {
+			row.forEach((hits, j) => {
+				const cell = this.getCell(
+					i + (firstRow ? 2 : 1),
+					j + (firstColumn ? 2 : 1),
+				);
+
+				if (!cell || !hits) {
+					return;
+				}
+
+				const mean = formatNumber(bins.means[i][j], decimals, format);
+				const label = {
+					hits: String(hits),
+					mean,
+					both: `${mean} (${hits})`,
+				}[view];
+
+				cell.classList.add(CSS.cellDatalog);
+				cell.classList.toggle(CSS.cellDatalogSparse, hits < minHits);
+				cell.setAttribute('data-datalog', label);
+				cell.style.setProperty(
+					'--tc-datalog-coverage',
+					(0.1 + (0.5 * hits) / maxHits).toFixed(2),
+				);
+			});
+		});
+
+		return true;
 	}
 
 	/**
@@ -1454,6 +3803,7 @@ export default class Table {
 		});
 
 		this.wrapper.appendChild(vTitle);
+		this.updateUnitLabels();
 	}
 
 	/**
@@ -1476,6 +3826,101 @@ export default class Table {
 		}
 	}
 
+	/**
+	 * Snapshot of the cells and the settings for the undo history
+	 * Empty rows are kept so the structure can be restored as it was
+	 *
+	 * @returns {{content: string[][], locked: boolean[][], tunes: object}}
+	 */
+	getState() {
+		const tunes = {};
+
+		HISTORY_TUNES.forEach((name) => {
+			tunes[name] = this.tunes[name];
+		});
+
+		return {
+			content: this.getGridContent(),
+			locked: this.getLockMask(),
+			tunes,
+		};
+	}
+
+	/**
+	 * Bring the cells and the settings back to a snapshot
+	 *
+	 * @param {{content: string[][], locked: boolean[][], tunes: object}} state - snapshot from getState()
+	 */
+	restoreState(state) {
+		const { tunes } = state;
+
+		this.tunes.colorScheme = tunes.colorScheme;
+		this.tunes.skipHeadings = tunes.skipHeadings;
+		this.tunes.gradientRange = tunes.gradientRange;
+		this.tunes.gradientNormalization = tunes.gradientNormalization;
+		this.tunes.gradientScale = tunes.gradientScale;
+		this.tunes.units = tunes.units;
+		this.tunes.physicalView = tunes.physicalView;
+		this.tunes.numberFormat = tunes.numberFormat;
+		this.setContent(state.content);
+		this.setHeadingsSetting(tunes.withHeadings);
+		this.setAxesSetting(tunes.axes);
+		this.setLockMask(state.locked);
+		this.setHorizontalTitle(tunes.horizontalTitle || '');
+		this.setVerticalTitle(tunes.verticalTitle || '');
+		this.updateUnitLabels();
+		this.setGradientColors(tunes.gradientColors);
+
+		if (this.onHistoryRestore) {
+			this.onHistoryRestore({ ...tunes });
+		}
+	}
+
+	/**
+	 * Run a change as one undo step
+	 * Nothing is recorded if the change left the table as it was
+	 *
+	 * @param {function} change - function changing cells, structure or settings
+	 */
+	transact(change) {
+		const before = this.getState();
+
+		change();
+
+		const after = this.getState();
+
+		if (JSON.stringify(before) !== JSON.stringify(after)) {
+			this.history.push(before);
+		}
+
+		// Typing after the change is a new step
+		this.editCheckpoint = after;
+	}
+
+	/**
+	 * Undo the last change
+	 */
+	undo() {
+		const state = this.history.undo(this.getState());
+
+		if (state) {
+			this.restoreState(state);
+			this.editCheckpoint = this.getState();
+		}
+	}
+
+	/**
+	 * Redo the last undone change
+	 */
+	redo() {
+		const state = this.history.redo(this.getState());
+
+		if (state) {
+			this.restoreState(state);
+			this.editCheckpoint = this.getState();
+		}
+	}
+
 	/**
 	 * Get current tune settings
 	 *
@@ -1490,5 +3935,6 @@ export default class Table {
 	 */
 	destroy() {
 		document.removeEventListener('click', this.documentClicked);
+		document.removeEventListener('mouseup', this.documentMouseUp);
 	}
 }
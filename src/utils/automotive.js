@@ -3,8 +3,29 @@
  * Handles gradient coloring and value smoothing for calibration maps
  */
 
+import { parseNumber, countDecimals, formatNumber } from './numbers';
+
+/**
+ * @typedef {import('./numbers').NumberFormat} NumberFormat
+ */
+
+/**
+ * @typedef {object} ColorStop
+ * @property {number} value - position on the scale, 0 is the minimum and 1 the maximum
+ * @property {number[]} color - RGB array [r, g, b]
+ */
+
+/**
+ * @typedef {object} ColorScheme
+ * @property {string} name - title shown in the tune menu
+ * @property {ColorStop[]} colors - stops in increasing value order
+ */
+
 /**
- * Color schemes for automotive maps
+ * Color schemes for automotive maps, keyed by the name saved with the block
+ * Custom schemes are added with registerColorScheme()
+ *
+ * @type {Object<string, ColorScheme>}
  */
 export const COLOR_SCHEMES = {
 	THERMAL: {
@@ -17,11 +38,15 @@ export const COLOR_SCHEMES = {
 			{ value: 1, color: [255, 0, 0] }, // Red
 		],
 	},
-	GRAYSCALE: {
-		name: 'Grayscale',
+	AUTOMOTIVE: {
+		name: 'Automotive',
 		colors: [
-			{ value: 0, color: [255, 255, 255] }, // White
-			{ value: 1, color: [0, 0, 0] }, // Black
+			{ value: 0, color: [30, 30, 180] }, // Dark Blue
+			{ value: 0.2, color: [60, 120, 220] }, // Blue
+			{ value: 0.4, color: [100, 200, 100] }, // Green
+			{ value: 0.6, color: [255, 200, 60] }, // Yellow
+			{ value: 0.8, color: [255, 120, 30] }, // Orange
+			{ value: 1, color: [220, 20, 20] }, // Red
 		],
 	},
 	VIRIDIS: {
@@ -34,35 +59,126 @@ export const COLOR_SCHEMES = {
 			{ value: 1, color: [253, 231, 37] },
 		],
 	},
-	AUTOMOTIVE: {
-		name: 'Automotive',
+	GRAYSCALE: {
+		name: 'Grayscale',
 		colors: [
-			{ value: 0, color: [30, 30, 180] }, // Dark Blue
-			{ value: 0.2, color: [60, 120, 220] }, // Blue
-			{ value: 0.4, color: [100, 200, 100] }, // Green
-			{ value: 0.6, color: [255, 200, 60] }, // Yellow
-			{ value: 0.8, color: [255, 120, 30] }, // Orange
-			{ value: 1, color: [220, 20, 20] }, // Red
+			{ value: 0, color: [255, 255, 255] }, // White
+			{ value: 1, color: [0, 0, 0] }, // Black
+		],
+	},
+	DIVERGING: {
+		name: 'Diverging',
+		colors: [
+			{ value: 0, color: [33, 102, 172] }, // Blue
+			{ value: 0.25, color: [146, 197, 222] }, // Light Blue
+			{ value: 0.5, color: [247, 247, 247] }, // Neutral
+			{ value: 0.75, color: [244, 165, 130] }, // Light Red
+			{ value: 1, color: [178, 24, 43] }, // Red
 		],
 	},
 };
 
+/**
+ * Check that a color stop has a position on the scale and an RGB color
+ *
+ * @param {ColorStop} stop - stop to check
+ * @returns {boolean}
+ */
+function isValidColorStop(stop) {
+	return (
+		Boolean(stop) &&
+		typeof stop.value === 'number' &&
+		stop.value >= 0 &&
+		stop.value <= 1 &&
+		Array.isArray(stop.color) &&
+		stop.color.length === 3 &&
+		stop.color.every(
+			(channel) =>
+				typeof channel === 'number' && channel >= 0 && channel <= 255,
+		)
+	);
+}
+
+/**
+ * Add a color scheme or replace one with the same key
+ * Stops are sorted by value, a scheme needs at least two of them
+ *
+ * @param {string} key - name saved with the block, e.g. 'CORPORATE'
+ * @param {ColorScheme} scheme - title and color stops
+ * @returns {boolean} - false if the scheme is not valid and was not registered
+ */
+export function registerColorScheme(key, scheme) {
+	if (
+		!key ||
+		typeof key !== 'string' ||
+		!scheme ||
+		!Array.isArray(scheme.colors) ||
+		scheme.colors.length < 2 ||
+		!scheme.colors.every(isValidColorStop)
+	) {
+		return false;
+	}
+
+	COLOR_SCHEMES[key] = {
+		name: scheme.name || key,
+		colors: scheme.colors
+			.map(({ value, color }) => ({ value, color: [...color] }))
+			.sort((a, b) => a.value - b.value),
+	};
+
+	return true;
+}
+
 /**
  * Parse cell content to extract numeric value
  *
  * @param {string} content - cell HTML content
+ * @param {NumberFormat} [format] - number format of the cells
  * @returns {number|null} - parsed number or null if not numeric
  */
-export function parseNumericValue(content) {
+export function parseNumericValue(content, format = undefined) {
 	if (!content) return null;
 
-	// Strip HTML tags
-	const text = content.replace(/<[^>]*>/g, '').trim();
+	return parseNumber(content, format);
+}
 
-	// Try to parse as number
-	const num = parseFloat(text);
+/**
+ * Count decimal places of a cell value, used to keep the precision of transformed values
+ *
+ * @param {string} content - cell HTML content
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {number}
+ */
+export function getDecimalPlaces(content, format = undefined) {
+	return countDecimals(content, format);
+}
 
-	return isNaN(num) ? null : num;
+/**
+ * Highest number of decimal places among the numeric cells
+ *
+ * @param {string[][]} content - 2D array of cell contents
+ * @param {boolean} skipFirstRow - skip first row if it's a heading
+ * @param {boolean} skipFirstColumn - skip first column if it contains labels
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {number}
+ */
+export function getMaxDecimalPlaces(
+	content,
+	skipFirstRow = false,
+	skipFirstColumn = false,
+	format = undefined,
+) {
+	let decimals = 0;
+
+	content.slice(skipFirstRow ? 1 : 0).forEach((row) => {
+		row.slice(skipFirstColumn ? 1 : 0).forEach((cell) => {
+			if (parseNumericValue(cell, format) !== null) {
+				decimals = Math.max(decimals, getDecimalPlaces(cell, format));
+			}
+		});
+	});
+
+	return decimals;
 }
 
 /**
@@ -71,12 +187,14 @@ export function parseNumericValue(content) {
  * @param {string[][]} content - 2D array of cell contents
  * @param {boolean} skipFirstRow - skip first row if it's a heading
  * @param {boolean} skipFirstColumn - skip first column if it contains labels
+ * @param {NumberFormat} [format] - number format of the cells
  * @returns {{min: number, max: number, hasValues: boolean}}
  */
 export function getMinMaxValues(
 	content,
 	skipFirstRow = false,
 	skipFirstColumn = false,
+	format = undefined,
 ) {
 	let min = Infinity;
 	let max = -Infinity;
@@ -87,7 +205,7 @@ export function getMinMaxValues(
 
 	for (let i = startRow; i < content.length; i++) {
 		for (let j = startCol; j < content[i].length; j++) {
-			const value = parseNumericValue(content[i][j]);
+			const value = parseNumericValue(content[i][j], format);
 			if (value !== null) {
 				hasValues = true;
 				min = Math.min(min, value);
@@ -101,6 +219,107 @@ export function getMinMaxValues(
 		: { min: 0, max: 1, hasValues: false };
 }
 
+/**
+ * Split the content into single rows or single columns, for coloring each line against its own range
+ *
+ * @param {string[][]} content - 2D array of cell contents
+ * @param {string} direction - 'row' or 'column'
+ * @returns {string[][][]} - one 2D array per row (a single row) or per column (a single column)
+ */
+export function getLineContents(content, direction) {
+	if (direction === 'row') {
+		return content.map((row) => [row]);
+	}
+
+	const columns = content.reduce((max, row) => Math.max(max, row.length), 0);
+
+	return Array.from({ length: columns }, (_, j) =>
+		content.map((row) => [row[j]]),
+	);
+}
+
+/**
+ * Get the numeric values of the table data
+ *
+ * @param {string[][]} content - 2D array of cell contents
+ * @param {boolean} skipFirstRow - skip first row if it's a heading
+ * @param {boolean} skipFirstColumn - skip first column if it contains labels
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {number[]}
+ */
+export function getNumericValues(
+	content,
+	skipFirstRow = false,
+	skipFirstColumn = false,
+	format = undefined,
+) {
+	const values = [];
+
+	content.slice(skipFirstRow ? 1 : 0).forEach((row) => {
+		row.slice(skipFirstColumn ? 1 : 0).forEach((cell) => {
+			const value = parseNumericValue(cell, format);
+
+			if (value !== null) {
+				values.push(value);
+			}
+		});
+	});
+
+	return values;
+}
+
+/**
+ * @typedef {object} GradientRange - which values the ends of the color scale stand for
+ * @property {string} mode - 'auto' spans the map values, 'fixed' spans min to max, 'centered' is symmetric around center
+ * @property {number} min - value at the start of the scale in fixed mode
+ * @property {number} max - value at the end of the scale in fixed mode
+ * @property {number} center - value at the middle of the scale in centered mode
+ */
+
+/**
+ * Complete a saved or configured gradient range with defaults
+ *
+ * @param {Partial<GradientRange>} [range] - range to complete
+ * @returns {GradientRange}
+ */
+export function normalizeGradientRange(range) {
+	const { mode, min, max, center } = range || {};
+	const toNumber = (value, fallback) =>
+		typeof value === 'number' && isFinite(value) ? value : fallback;
+
+	return {
+		mode: ['fixed', 'centered'].includes(mode) ? mode : 'auto',
+		min: toNumber(min, 0),
+		max: toNumber(max, 100),
+		center: toNumber(center, 0),
+	};
+}
+
+/**
+ * Values at the ends of the color scale
+ * Centered ranges reach as far as the map value furthest from the center, so the center gets the middle color
+ *
+ * @param {{min: number, max: number}} values - min and max of the map values
+ * @param {GradientRange} range - range settings
+ * @returns {{min: number, max: number}}
+ */
+export function getGradientBounds(values, range) {
+	if (range.mode === 'fixed' && range.min < range.max) {
+		return { min: range.min, max: range.max };
+	}
+
+	if (range.mode === 'centered') {
+		const spread = Math.max(
+			Math.abs(values.max - range.center),
+			Math.abs(values.min - range.center),
+		);
+
+		return { min: range.center - spread, max: range.center + spread };
+	}
+
+	return { min: values.min, max: values.max };
+}
+
 /**
  * Interpolate between two RGB colors
  *
@@ -155,6 +374,75 @@ export function getColorForValue(normalizedValue, colorScheme) {
 	return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
 }
 
+/**
+ * @typedef {object} ColorScale - maps values to positions on the color scheme
+ * @property {function(number): number} normalize - position (0-1) of a value
+ * @property {function(number): number} valueAt - value at a position (0-1), used for the scale bar labels
+ */
+
+/**
+ * Create the mapping of values to the 0-1 range fed into getColorForValue()
+ * - linear: even steps between min and max
+ * - log: even ratios, so a few high outliers don't wash out the lower values. Ranges reaching zero or below are shifted to start at 1
+ * - quantile: the rank of a value among all values (histogram equalization), every color is used by about the same number of cells. Min and max are ignored
+ *
+ * @param {string} type - 'linear', 'log' or 'quantile'
+ * @param {number} min - value at the start of the scale
+ * @param {number} max - value at the end of the scale
+ * @param {number[]} [values] - colored values, needed by the quantile scale
+ * @returns {ColorScale}
+ */
+export function createColorScale(type, min, max, values = []) {
+	if (type === 'quantile' && values.length) {
+		const sorted = [...values].sort((a, b) => a - b);
+		const last = sorted.length - 1;
+
+		return {
+			normalize: (value) => {
+				if (last === 0) {
+					return 0.5;
+				}
+
+				const below = sorted.filter((item) => item < value).length;
+				const equal = sorted.filter((item) => item === value).length;
+
+				// Equal values share the middle of their ranks
+				return (below + Math.max(equal - 1, 0) / 2) / last;
+			},
+			valueAt: (position) => {
+				const index = position * last;
+				const lower = Math.floor(index);
+				const upper = Math.min(lower + 1, last);
+
+				return (
+					sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower)
+				);
+			},
+		};
+	}
+
+	if (type === 'log') {
+		const offset = min > 0 ? 0 : 1 - min;
+		const low = Math.log(min + offset);
+		const high = Math.log(max + offset);
+
+		return {
+			normalize: (value) =>
+				high === low
+					? 0.5
+					: (Math.log(Math.max(value + offset, min + offset)) - low) /
+						(high - low),
+			valueAt: (position) =>
+				Math.exp(low + (high - low) * position) - offset,
+		};
+	}
+
+	return {
+		normalize: (value) => (max === min ? 0.5 : (value - min) / (max - min)),
+		valueAt: (position) => min + (max - min) * position,
+	};
+}
+
 /**
  * Calculate background color and text color for a cell
  *
@@ -165,10 +453,26 @@ export function getColorForValue(normalizedValue, colorScheme) {
  * @returns {{backgroundColor: string, textColor: string}}
  */
 export function getCellColors(value, min, max, colorScheme) {
-	const range = max - min;
-	const normalizedValue = range === 0 ? 0.5 : (value - min) / range;
+	return getScaledCellColors(
+		value,
+		createColorScale('linear', min, max),
+		colorScheme,
+	);
+}
 
-	const backgroundColor = getColorForValue(normalizedValue, colorScheme);
+/**
+ * Calculate background color and text color for a cell on a color scale
+ *
+ * @param {number} value - numeric value
+ * @param {ColorScale} scale - mapping of values to the scheme
+ * @param {object} colorScheme - color scheme to use
+ * @returns {{backgroundColor: string, textColor: string}}
+ */
+export function getScaledCellColors(value, scale, colorScheme) {
+	const backgroundColor = getColorForValue(
+		scale.normalize(value),
+		colorScheme,
+	);
 
 	// Determine if we need light or dark text based on background brightness
 	const rgb = backgroundColor.match(/\d+/g).map(Number);
@@ -178,10 +482,102 @@ export function getCellColors(value, min, max, colorScheme) {
 	return { backgroundColor, textColor };
 }
 
+/**
+ * Labels of the scale bar: the values at its start, middle and end
+ * Labels keep the precision of the map, the midpoint gets one more decimal when it falls between two steps
+ *
+ * @param {ColorScale} scale - mapping of values to the scheme
+ * @param {number} decimals - decimal places of the map values
+ * @param {NumberFormat} [format] - number format of the cells, the labels are written the same way
+ * @returns {string[]}
+ */
+export function getLegendLabels(scale, decimals, format = undefined) {
+	const mid = scale.valueAt(0.5);
+	const midDecimals =
+		Number(mid.toFixed(decimals)) === mid ? decimals : decimals + 1;
+
+	return [
+		formatNumber(scale.valueAt(0), decimals, format),
+		formatNumber(mid, midDecimals, format),
+		formatNumber(scale.valueAt(1), decimals, format),
+	];
+}
+
+/**
+ * CSS gradient running through the color stops of a scheme, from the minimum on the left to the maximum on the right
+ *
+ * @param {object} colorScheme - color scheme to draw
+ * @returns {string} - linear-gradient() value
+ */
+export function getGradientCSS(colorScheme) {
+	const stops = colorScheme.colors.map(
+		({ value, color }) => `rgb(${color.join(', ')}) ${value * 100}%`,
+	);
+
+	return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
 /**
  * Smoothing algorithms
  */
 
+/**
+ * @typedef {object} Region - rectangle of cells, 0-based inclusive content indexes
+ * @property {number} fromRow - first row
+ * @property {number} toRow - last row
+ * @property {number} fromColumn - first column
+ * @property {number} toColumn - last column
+ */
+
+/**
+ * Check if a cell belongs to the processed region
+ * Cells outside the region are never written, but are still read as neighbours
+ *
+ * @param {Region|undefined} region - processed region, the whole table if not passed
+ * @param {number} row - content row index
+ * @param {number} column - content column index
+ * @returns {boolean}
+ */
+export function isInRegion(region, row, column) {
+	return (
+		!region ||
+		(row >= region.fromRow &&
+			row <= region.toRow &&
+			column >= region.fromColumn &&
+			column <= region.toColumn)
+	);
+}
+
+/**
+ * Check if a cell is protected from changes
+ * Locked cells are never written, but are still read as neighbours
+ *
+ * @param {boolean[][]|undefined} locked - locked state of the cells in the content layout
+ * @param {number} row - content row index
+ * @param {number} column - content column index
+ * @returns {boolean}
+ */
+export function isLockedCell(locked, row, column) {
+	return Boolean(locked && locked[row] && locked[row][column]);
+}
+
+/**
+ * Computed values get at least this many decimal places, so a smoothing pass over an integer map isn't rounded away
+ */
+const MIN_COMPUTED_DECIMALS = 2;
+
+/**
+ * Decimal places of a computed value: the precision of the source cell, at least MIN_COMPUTED_DECIMALS
+ * Fixed decimals of the number format still win when the value is written
+ *
+ * @param {string} content - source cell HTML content
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {number}
+ */
+function getComputedDecimals(content, format) {
+	return Math.max(getDecimalPlaces(content, format), MIN_COMPUTED_DECIMALS);
+}
+
 /**
  * Apply moving average smoothing to a 2D array
  *
@@ -189,6 +585,9 @@ export function getCellColors(value, min, max, colorScheme) {
  * @param {number} windowSize - size of smoothing window (must be odd)
  * @param {boolean} skipFirstRow - skip first row if it's a heading
  * @param {boolean} skipFirstColumn - skip first column if it contains labels
+ * @param {Region} [region] - only smooth these cells
+ * @param {boolean[][]} [locked] - cells that must keep their values
+ * @param {NumberFormat} [format] - number format of the cells
  * @returns {string[][]} - smoothed content
  */
 export function applyMovingAverage(
@@ -196,6 +595,9 @@ export function applyMovingAverage(
 	windowSize = 3,
 	skipFirstRow = false,
 	skipFirstColumn = false,
+	region = undefined,
+	locked = undefined,
+	format = undefined,
 ) {
 	if (windowSize % 2 === 0) {
 		windowSize += 1; // Ensure window size is odd
@@ -209,7 +611,9 @@ export function applyMovingAverage(
 
 	for (let i = startRow; i < content.length; i++) {
 		for (let j = startCol; j < content[i].length; j++) {
-			const value = parseNumericValue(content[i][j]);
+			if (!isInRegion(region, i, j) || isLockedCell(locked, i, j)) continue;
+
+			const value = parseNumericValue(content[i][j], format);
 			if (value === null) continue;
 
 			let sum = 0;
@@ -227,7 +631,10 @@ export function applyMovingAverage(
 						nj >= startCol &&
 						nj < content[i].length
 					) {
-						const neighborValue = parseNumericValue(content[ni][nj]);
+						const neighborValue = parseNumericValue(
+							content[ni][nj],
+							format,
+						);
 						if (neighborValue !== null) {
 							sum += neighborValue;
 							count++;
@@ -238,12 +645,8 @@ export function applyMovingAverage(
 
 			if (count > 0) {
 				const smoothedValue = sum / count;
-				// Preserve precision based on original value
-				const decimals = content[i][j].includes('.')
-					? (content[i][j].split('.')[1] || '').replace(/<[^>]*>/g, '')
-							.length
-					: 0;
-				result[i][j] = smoothedValue.toFixed(Math.max(decimals, 2));
+				const decimals = getComputedDecimals(content[i][j], format);
+				result[i][j] = formatNumber(smoothedValue, decimals, format);
 			}
 		}
 	}
@@ -258,6 +661,9 @@ export function applyMovingAverage(
  * @param {number} sigma - standard deviation for Gaussian kernel
  * @param {boolean} skipFirstRow - skip first row if it's a heading
  * @param {boolean} skipFirstColumn - skip first column if it contains labels
+ * @param {Region} [region] - only smooth these cells
+ * @param {boolean[][]} [locked] - cells that must keep their values
+ * @param {NumberFormat} [format] - number format of the cells
  * @returns {string[][]} - smoothed content
  */
 export function applyGaussianSmoothing(
@@ -265,6 +671,9 @@ export function applyGaussianSmoothing(
 	sigma = 1.0,
 	skipFirstRow = false,
 	skipFirstColumn = false,
+	region = undefined,
+	locked = undefined,
+	format = undefined,
 ) {
 	const kernelSize = Math.ceil(sigma * 3) * 2 + 1;
 	const halfSize = Math.floor(kernelSize / 2);
@@ -296,7 +705,9 @@ export function applyGaussianSmoothing(
 
 	for (let i = startRow; i < content.length; i++) {
 		for (let j = startCol; j < content[i].length; j++) {
-			const value = parseNumericValue(content[i][j]);
+			if (!isInRegion(region, i, j) || isLockedCell(locked, i, j)) continue;
+
+			const value = parseNumericValue(content[i][j], format);
 			if (value === null) continue;
 
 			let sum = 0;
@@ -314,7 +725,10 @@ export function applyGaussianSmoothing(
 						nj >= startCol &&
 						nj < content[i].length
 					) {
-						const neighborValue = parseNumericValue(content[ni][nj]);
+						const neighborValue = parseNumericValue(
+							content[ni][nj],
+							format,
+						);
 						if (neighborValue !== null) {
 							sum += neighborValue * kernel[ki][kj];
 							weightSum += kernel[ki][kj];
@@ -325,11 +739,8 @@ export function applyGaussianSmoothing(
 
 			if (weightSum > 0) {
 				const smoothedValue = sum / weightSum;
-				const decimals = content[i][j].includes('.')
-					? (content[i][j].split('.')[1] || '').replace(/<[^>]*>/g, '')
-							.length
-					: 0;
-				result[i][j] = smoothedValue.toFixed(Math.max(decimals, 2));
+				const decimals = getComputedDecimals(content[i][j], format);
+				result[i][j] = formatNumber(smoothedValue, decimals, format);
 			}
 		}
 	}
@@ -343,12 +754,18 @@ export function applyGaussianSmoothing(
  * @param {string[][]} content - 2D array of cell contents
  * @param {boolean} skipFirstRow - skip first row if it's a heading
  * @param {boolean} skipFirstColumn - skip first column if it contains labels
+ * @param {Region} [region] - only smooth these cells
+ * @param {boolean[][]} [locked] - cells that must keep their values
+ * @param {NumberFormat} [format] - number format of the cells
  * @returns {string[][]} - smoothed content
  */
 export function applyBilinearInterpolation(
 	content,
 	skipFirstRow = false,
 	skipFirstColumn = false,
+	region = undefined,
+	locked = undefined,
+	format = undefined,
 ) {
 	const result = content.map((row) => [...row]);
 	const startRow = skipFirstRow ? 1 : 0;
@@ -356,26 +773,28 @@ export function applyBilinearInterpolation(
 
 	for (let i = startRow; i < content.length; i++) {
 		for (let j = startCol; j < content[i].length; j++) {
-			const value = parseNumericValue(content[i][j]);
+			if (!isInRegion(region, i, j) || isLockedCell(locked, i, j)) continue;
+
+			const value = parseNumericValue(content[i][j], format);
 			if (value === null) continue;
 
 			const neighbors = [];
 
 			// Get 4-connected neighbors
 			if (i > startRow) {
-				const v = parseNumericValue(content[i - 1][j]);
+				const v = parseNumericValue(content[i - 1][j], format);
 				if (v !== null) neighbors.push(v);
 			}
 			if (i < content.length - 1) {
-				const v = parseNumericValue(content[i + 1][j]);
+				const v = parseNumericValue(content[i + 1][j], format);
 				if (v !== null) neighbors.push(v);
 			}
 			if (j > startCol) {
-				const v = parseNumericValue(content[i][j - 1]);
+				const v = parseNumericValue(content[i][j - 1], format);
 				if (v !== null) neighbors.push(v);
 			}
 			if (j < content[i].length - 1) {
-				const v = parseNumericValue(content[i][j + 1]);
+				const v = parseNumericValue(content[i][j + 1], format);
 				if (v !== null) neighbors.push(v);
 			}
 
@@ -383,11 +802,8 @@ export function applyBilinearInterpolation(
 				const smoothedValue =
 					(value + neighbors.reduce((a, b) => a + b, 0)) /
 					(neighbors.length + 1);
-				const decimals = content[i][j].includes('.')
-					? (content[i][j].split('.')[1] || '').replace(/<[^>]*>/g, '')
-							.length
-					: 0;
-				result[i][j] = smoothedValue.toFixed(Math.max(decimals, 2));
+				const decimals = getComputedDecimals(content[i][j], format);
+				result[i][j] = formatNumber(smoothedValue, decimals, format);
 			}
 		}
 	}
@@ -395,6 +811,49 @@ export function applyBilinearInterpolation(
 	return result;
 }
 
+/**
+ * Mix smoothed values with the original ones
+ * Only cells that are numeric in both grids are blended
+ *
+ * @param {string[][]} original - table content before smoothing
+ * @param {string[][]} processed - smoothed table content
+ * @param {number} strength - 0 keeps the original values, 1 takes the smoothed ones
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {string[][]} - blended content
+ */
+export function blendContent(
+	original,
+	processed,
+	strength,
+	format = undefined,
+) {
+	if (strength >= 1) {
+		return processed.map((row) => [...row]);
+	}
+
+	return original.map((row, i) =>
+		row.map((content, j) => {
+			const value = parseNumericValue(content, format);
+			const target = parseNumericValue(processed[i][j], format);
+
+			if (value === null || target === null || strength <= 0) {
+				return content;
+			}
+
+			const decimals = Math.max(
+				getDecimalPlaces(content, format),
+				getDecimalPlaces(processed[i][j], format),
+			);
+
+			return formatNumber(
+				value + (target - value) * strength,
+				decimals,
+				format,
+			);
+		}),
+	);
+}
+
 /**
  * Auto-fill blank cells using weighted interpolation
  * Does not affect existing values, only fills in empty cells
@@ -402,12 +861,18 @@ export function applyBilinearInterpolation(
  * @param {string[][]} content - table content
  * @param {boolean} skipFirstRow - whether to skip first row
  * @param {boolean} skipFirstColumn - whether to skip first column
+ * @param {Region} [region] - only fill blanks in these cells
+ * @param {boolean[][]} [locked] - cells that must stay blank
+ * @param {NumberFormat} [format] - number format of the cells
  * @returns {string[][]} - table with filled values
  */
 export function autoFillBlanks(
 	content,
 	skipFirstRow = false,
 	skipFirstColumn = false,
+	region = undefined,
+	locked = undefined,
+	format = undefined,
 ) {
 	const result = content.map((row) => [...row]);
 	const startRow = skipFirstRow ? 1 : 0;
@@ -420,14 +885,6 @@ export function autoFillBlanks(
 		return cleaned === '' || cleaned === '&nbsp;';
 	};
 
-	// Helper function to count decimal places in a cell
-	const getDecimalPlaces = (cell) => {
-		const cleaned = cell.replace(/<[^>]*>/g, '').trim();
-		if (!cleaned.includes('.')) return 0;
-		const parts = cleaned.split('.');
-		return parts[1] ? parts[1].length : 0;
-	};
-
 	// Helper function to find nearest non-empty value in a direction
 	const findNearest = (row, col, dRow, dCol) => {
 		let r = row + dRow;
@@ -439,12 +896,12 @@ export function autoFillBlanks(
 			c < content[0].length
 		) {
 			if (!isEmpty(content[r][c])) {
-				const val = parseNumericValue(content[r][c]);
+				const val = parseNumericValue(content[r][c], format);
 				if (val !== null) {
 					return {
 						value: val,
 						distance: Math.abs(r - row) + Math.abs(c - col),
-						decimals: getDecimalPlaces(content[r][c]),
+						decimals: getDecimalPlaces(content[r][c], format),
 					};
 				}
 			}
@@ -457,7 +914,13 @@ export function autoFillBlanks(
 	// Fill blank cells
 	for (let i = startRow; i < content.length; i++) {
 		for (let j = startCol; j < content[i].length; j++) {
-			if (!isEmpty(content[i][j])) continue;
+			if (
+				!isInRegion(region, i, j) ||
+				isLockedCell(locked, i, j) ||
+				!isEmpty(content[i][j])
+			) {
+				continue;
+			}
 
 			// Find nearest values in 4 directions
 			const top = findNearest(i, j, -1, 0);
@@ -499,9 +962,198 @@ export function autoFillBlanks(
 
 				// Use the maximum decimal places from neighboring cells
 				const decimals = Math.max(...decimalCounts, 1);
-				result[i][j] = interpolated.toFixed(decimals);
+				result[i][j] = formatNumber(interpolated, decimals, format);
 			}
 		}
 	}
 	return result;
 }
+
+/**
+ * Linear interpolation between two cell values at a position
+ * Keeps the larger decimal places of the two values
+ *
+ * @param {string} start - cell content at the start position
+ * @param {string} end - cell content at the end position
+ * @param {number} factor - position between start (0) and end (1)
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {string|null} - interpolated content, null if a value is not numeric
+ */
+function interpolateBetween(start, end, factor, format) {
+	const startValue = parseNumericValue(start, format);
+	const endValue = parseNumericValue(end, format);
+
+	if (startValue === null || endValue === null) {
+		return null;
+	}
+
+	const decimals = Math.max(
+		getDecimalPlaces(start, format),
+		getDecimalPlaces(end, format),
+	);
+
+	return formatNumber(
+		startValue + (endValue - startValue) * factor,
+		decimals,
+		format,
+	);
+}
+
+/**
+ * Position of a coordinate between two others, 0 at the first and 1 at the second
+ *
+ * @param {number[]} positions - positions of the rows or columns
+ * @param {number} from - first index
+ * @param {number} to - last index
+ * @param {number} index - index to locate
+ * @returns {number}
+ */
+function getFactor(positions, from, to, index) {
+	const span = positions[to] - positions[from];
+
+	return span ? (positions[index] - positions[from]) / span : 0;
+}
+
+/**
+ * Overwrite a region with a linear ramp between its edge values, the "interpolate" key of tuning tools
+ * 'row' interpolates each row between its first and last cell, 'column' each column between its top and bottom cell,
+ * 'bilinear' fills the whole region from its four corners
+ *
+ * @param {string[][]} content - table content
+ * @param {Region} region - cells to overwrite, its edges (corners for bilinear) are kept
+ * @param {string} mode - 'row', 'column' or 'bilinear'
+ * @param {{rows: number[], columns: number[]}} [positions] - positions of the rows and columns (e.g. axis breakpoints), indexes if not passed
+ * @param {boolean[][]} [locked] - cells that must keep their values
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {string[][]} - interpolated content
+ */
+export function interpolateRegion(
+	content,
+	region,
+	mode,
+	positions = {},
+	locked = undefined,
+	format = undefined,
+) {
+	const result = content.map((row) => [...row]);
+	const { fromRow, toRow, fromColumn, toColumn } = region;
+	const rows = positions.rows || content.map((row, i) => i);
+	const columns = positions.columns || (content[0] || []).map((cell, j) => j);
+
+	for (let i = fromRow; i <= toRow; i++) {
+		for (let j = fromColumn; j <= toColumn; j++) {
+			if (isLockedCell(locked, i, j)) continue;
+
+			const rowFactor = getFactor(rows, fromRow, toRow, i);
+			const columnFactor = getFactor(columns, fromColumn, toColumn, j);
+			let value = null;
+
+			if (mode === 'row' && j !== fromColumn && j !== toColumn) {
+				value = interpolateBetween(
+					content[i][fromColumn],
+					content[i][toColumn],
+					columnFactor,
+					format,
+				);
+			} else if (mode === 'column' && i !== fromRow && i !== toRow) {
+				value = interpolateBetween(
+					content[fromRow][j],
+					content[toRow][j],
+					rowFactor,
+					format,
+				);
+			} else if (mode === 'bilinear') {
+				const isCorner =
+					(i === fromRow || i === toRow) &&
+					(j === fromColumn || j === toColumn);
+				const corners = [
+					content[fromRow][fromColumn],
+					content[fromRow][toColumn],
+					content[toRow][fromColumn],
+					content[toRow][toColumn],
+				];
+				const values = corners.map((corner) =>
+					parseNumericValue(corner, format),
+				);
+
+				if (!isCorner && !values.includes(null)) {
+					const [topLeft, topRight, bottomLeft, bottomRight] = values;
+					const top = topLeft + (topRight - topLeft) * columnFactor;
+					const bottom =
+						bottomLeft + (bottomRight - bottomLeft) * columnFactor;
+					const decimals = Math.max(
+						...corners.map((corner) => getDecimalPlaces(corner, format)),
+					);
+
+					value = formatNumber(
+						top + (bottom - top) * rowFactor,
+						decimals,
+						format,
+					);
+				}
+			}
+
+			if (value !== null) {
+				result[i][j] = value;
+			}
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Bulk arithmetic
+ */
+
+/**
+ * Apply an arithmetic operation to a cell value, the way tuning software edits a selected region
+ * Keeps the decimal places of the original value and of the operand; a scaled value is computed
+ * like a smoothed one and gets at least MIN_COMPUTED_DECIMALS, otherwise +3% on 12 would stay 12
+ *
+ * @param {string} content - cell HTML content
+ * @param {string} operation - 'add' an offset, 'scale' by a percentage or 'set' a value
+ * @param {number} operand - offset, percentage (3 means +3%) or new value
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {string} - new cell content, the original content if it can't be changed
+ */
+export function applyArithmetic(
+	content,
+	operation,
+	operand,
+	format = undefined,
+) {
+	const value = parseNumericValue(content, format);
+	const operandDecimals = getDecimalPlaces(String(operand));
+
+	if (operation === 'set') {
+		return formatNumber(
+			operand,
+			Math.max(getDecimalPlaces(content, format), operandDecimals),
+			format,
+		);
+	}
+
+	if (value === null) {
+		return content;
+	}
+
+	const decimals = getDecimalPlaces(content, format);
+
+	switch (operation) {
+		case 'add':
+			return formatNumber(
+				value + operand,
+				Math.max(decimals, operandDecimals),
+				format,
+			);
+		case 'scale':
+			return formatNumber(
+				value * (1 + operand / 100),
+				getComputedDecimals(content, format),
+				format,
+			);
+		default:
+			return content;
+	}
+}
@@ -0,0 +1,318 @@
+/**
+ * Axis breakpoint utilities for calibration maps
+ * Converts between the saved axis model and the rendered table grid
+ */
+
+import { parseNumericValue } from './automotive';
+import { localizeNumber, normalizeNumberFormat, parseNumber } from './numbers';
+
+/**
+ * @typedef {import('./numbers').NumberFormat} NumberFormat
+ */
+
+/**
+ * Determine which axes are present in saved data
+ *
+ * @param {number[]|undefined} xAxis - saved X axis breakpoints
+ * @param {number[]|undefined} yAxis - saved Y axis breakpoints
+ * @returns {string|false} - false, 'x', 'y' or 'both'
+ */
+export function getAxesMode(xAxis, yAxis) {
+	const hasX = Array.isArray(xAxis);
+	const hasY = Array.isArray(yAxis);
+
+	if (hasX && hasY) {
+		return 'both';
+	}
+
+	if (hasX) {
+		return 'x';
+	}
+
+	return hasY ? 'y' : false;
+}
+
+/**
+ * Check whether the axes setting includes the X axis (first row)
+ *
+ * @param {string|false} axes - axes setting
+ * @returns {boolean}
+ */
+export function hasXAxis(axes) {
+	return axes === 'x' || axes === 'both';
+}
+
+/**
+ * Check whether the axes setting includes the Y axis (first column)
+ *
+ * @param {string|false} axes - axes setting
+ * @returns {boolean}
+ */
+export function hasYAxis(axes) {
+	return axes === 'y' || axes === 'both';
+}
+
+/**
+ * Format a breakpoint for display in a cell
+ *
+ * @param {number|null} value - breakpoint value
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {string}
+ */
+function formatBreakpoint(value, format) {
+	return value === null || value === undefined
+		? ''
+		: localizeNumber(String(value), format);
+}
+
+/**
+ * Build the rendered grid from the map body and its axes
+ * The X axis becomes the first row, the Y axis the first column
+ *
+ * @param {string[][]} content - map body
+ * @param {number[]|undefined} xAxis - X axis breakpoints
+ * @param {number[]|undefined} yAxis - Y axis breakpoints
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {string[][]} - grid with axis row/column
+ */
+export function composeGrid(content = [], xAxis, yAxis, format = undefined) {
+	const hasX = Array.isArray(xAxis);
+	const hasY = Array.isArray(yAxis);
+	const rows = Math.max(content.length, hasY ? yAxis.length : 0);
+	const cols = Math.max(
+		content.reduce((max, row) => Math.max(max, row.length), 0),
+		hasX ? xAxis.length : 0,
+	);
+	const grid = [];
+
+	if (hasX) {
+		const axisRow = [];
+
+		for (let j = 0; j < cols; j++) {
+			axisRow.push(formatBreakpoint(xAxis[j], format));
+		}
+
+		grid.push(hasY ? ['', ...axisRow] : axisRow);
+	}
+
+	for (let i = 0; i < rows; i++) {
+		const row = [];
+
+		for (let j = 0; j < cols; j++) {
+			row.push(
+				content[i] && content[i][j] !== undefined ? content[i][j] : '',
+			);
+		}
+
+		grid.push(hasY ? [formatBreakpoint(yAxis[i], format), ...row] : row);
+	}
+
+	return grid;
+}
+
+/**
+ * Find breakpoints that break the strictly increasing order of an axis
+ * Non-numeric breakpoints are reported as well
+ *
+ * @param {(number|null)[]} values - axis breakpoints
+ * @returns {number[]} - indexes of invalid breakpoints
+ */
+export function getAxisErrors(values) {
+	const errors = [];
+	let previous = null;
+
+	values.forEach((value, index) => {
+		if (value === null || value === undefined || isNaN(value)) {
+			errors.push(index);
+
+			return;
+		}
+
+		if (previous !== null && value <= previous) {
+			errors.push(index);
+		}
+
+		previous = previous === null ? value : Math.max(previous, value);
+	});
+
+	return errors;
+}
+
+/**
+ * Replace invalid breakpoints so the axis is strictly increasing again
+ * Gaps are interpolated between the valid neighbours and continued with the nearest step at the ends
+ *
+ * @param {(number|null)[]} values - axis breakpoints
+ * @returns {number[]}
+ */
+export function repairAxis(values) {
+	const errors = getAxisErrors(values);
+	const valid = values
+		.map((value, index) => index)
+		.filter((index) => !errors.includes(index));
+	const clean = (value) => parseFloat(value.toPrecision(12));
+
+	if (!valid.length) {
+		return values.map((value, index) => index);
+	}
+
+	const first = valid[0];
+	const last = valid[valid.length - 1];
+	// Step per index between two valid breakpoints, 1 if the axis has a single one
+	const step = (from, to) =>
+		from === to ? 1 : (values[to] - values[from]) / (to - from);
+	const firstStep = step(first, valid.length > 1 ? valid[1] : first);
+	const lastStep = step(
+		valid.length > 1 ? valid[valid.length - 2] : last,
+		last,
+	);
+
+	return values.map((value, index) => {
+		if (!errors.includes(index)) {
+			return value;
+		}
+
+		if (index < first) {
+			return clean(values[first] - firstStep * (first - index));
+		}
+
+		if (index > last) {
+			return clean(values[last] + lastStep * (index - last));
+		}
+
+		const upper = valid.find((candidate) => candidate > index);
+		const lower = valid[valid.indexOf(upper) - 1];
+
+		return clean(values[lower] + step(lower, upper) * (index - lower));
+	});
+}
+
+/**
+ * Parse axis cell contents into breakpoints
+ *
+ * @param {string[]} cells - axis cells HTML content
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {(number|null)[]}
+ */
+export function parseAxis(cells, format = undefined) {
+	return cells.map((cell) => parseNumericValue(cell, format));
+}
+
+/**
+ * Characters that separate the entries of a typed breakpoint list
+ * Semicolons and line breaks always do, spaces and commas only when the format doesn't use them in numbers
+ *
+ * @param {NumberFormat} format - number format of the table
+ * @returns {string[]}
+ */
+function getListSeparators(format) {
+	const inNumbers = [format.decimalSeparator, format.thousandsSeparator];
+	const separators = [';', '\\n'];
+
+	if (!inNumbers.includes(' ')) {
+		separators.push('\\s');
+	}
+
+	if (!inNumbers.includes(',')) {
+		separators.push(',');
+	}
+
+	return separators;
+}
+
+/**
+ * Write breakpoints as a list that parseBreakpointList() reads back
+ *
+ * @param {(number|null)[]} breakpoints - axis breakpoints
+ * @param {NumberFormat} [format] - number format of the table, JavaScript notation if not passed
+ * @returns {string} - e.g. "500, 1000, 1500", or "0,5; 1,5" with decimal commas
+ */
+export function formatBreakpointList(
+	breakpoints,
+	format = normalizeNumberFormat(),
+) {
+	const separator = getListSeparators(format).includes(',') ? ', ' : '; ';
+
+	return breakpoints
+		.map((value) =>
+			value === null ? '' : localizeNumber(String(value), format),
+		)
+		.join(separator);
+}
+
+/**
+ * Parse a typed list of breakpoints, separated by semicolons, line breaks,
+ * and spaces or commas unless the format uses them in numbers
+ *
+ * @param {string} text - typed list, e.g. "500, 1000, 1500"
+ * @param {NumberFormat} [format] - number format of the table, JavaScript notation if not passed
+ * @returns {(number|null)[]} - breakpoints, null for entries that are not numbers
+ */
+export function parseBreakpointList(text, format = normalizeNumberFormat()) {
+	return text
+		.split(new RegExp(`[${getListSeparators(format).join('')}]+`))
+		.map((entry) => entry.trim())
+		.filter((entry) => entry)
+		.map((entry) => parseNumber(entry, format));
+}
+
+/**
+ * @typedef {object} BreakpointSpacing
+ * @property {number} start - first breakpoint
+ * @property {number} end - last breakpoint
+ * @property {number} count - number of breakpoints
+ * @property {string} [spacing] - 'linear' equal steps, 'log' equal ratios, 'geometric' steps growing by a ratio
+ * @property {number} [ratio] - growth of each step over the previous one for the geometric spacing
+ * @property {number} [step] - round breakpoints to multiples of this value, e.g. 100 rpm, 0 keeps them as computed
+ */
+
+/**
+ * Generate breakpoints between two values, both included
+ * Rounding may produce repeated breakpoints, check the result with getAxisErrors()
+ *
+ * @param {BreakpointSpacing} options - range and spacing
+ * @returns {number[]} - breakpoints, empty if the spacing can't be used for the range
+ */
+export function generateBreakpoints({
+	start,
+	end,
+	count,
+	spacing = 'linear',
+	ratio = 1,
+	step = 0,
+}) {
+	const breakpoints = [];
+
+	if (count < 1 || (spacing === 'log' && (start <= 0 || end <= 0))) {
+		return breakpoints;
+	}
+
+	// Weight of the first step for geometric spacing, steps sum up to the range
+	const isGeometric =
+		spacing === 'geometric' && count > 1 && ratio > 0 && ratio !== 1;
+	const totalWeight = isGeometric
+		? (Math.pow(ratio, count - 1) - 1) / (ratio - 1)
+		: count - 1;
+
+	for (let i = 0; i < count; i++) {
+		let position = count > 1 ? i / (count - 1) : 0;
+
+		if (isGeometric) {
+			position = (Math.pow(ratio, i) - 1) / (ratio - 1) / totalWeight;
+		}
+
+		let value =
+			spacing === 'log'
+				? start * Math.pow(end / start, position)
+				: start + (end - start) * position;
+
+		if (step > 0) {
+			value = Math.round(value / step) * step;
+		}
+
+		// Drop floating point noise like 0.30000000000000004
+		breakpoints.push(Number(value.toFixed(step > 0 ? 10 : 2)));
+	}
+
+	return breakpoints;
+}
@@ -0,0 +1,158 @@
+/**
+ * Delimited text (CSV/TSV) utilities for table import and export
+ * Numbers are converted between the file's decimal separator and the point used in cells
+ */
+
+/**
+ * @typedef {object} DelimitedOptions
+ * @property {string} delimiter - field delimiter: ',', ';' or '\t'
+ * @property {string} decimalSeparator - decimal separator used for numbers in the file: '.' or ','
+ */
+
+/**
+ * Plain numbers with a point as decimal separator, as they are stored in cells
+ */
+const POINT_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+/**
+ * Plain numbers with a comma as decimal separator
+ */
+const COMMA_NUMBER = /^[-+]?\d+(,\d+)?$/;
+
+/**
+ * Convert a cell value to the file's decimal separator
+ *
+ * @param {string} text - cell text
+ * @param {string} decimalSeparator - decimal separator of the file
+ * @returns {string}
+ */
+function toFileNumber(text, decimalSeparator) {
+	if (decimalSeparator === ',' && POINT_NUMBER.test(text)) {
+		return text.replace('.', ',');
+	}
+
+	return text;
+}
+
+/**
+ * Convert a file value to the point decimal separator used in cells
+ *
+ * @param {string} text - field text
+ * @param {string} decimalSeparator - decimal separator of the file
+ * @returns {string}
+ */
+function fromFileNumber(text, decimalSeparator) {
+	if (decimalSeparator === ',' && COMMA_NUMBER.test(text)) {
+		return text.replace(',', '.');
+	}
+
+	return text;
+}
+
+/**
+ * Quote a field if it contains the delimiter, quotes or line breaks
+ *
+ * @param {string} text - field text
+ * @param {string} delimiter - field delimiter
+ * @returns {string}
+ */
+function quoteField(text, delimiter) {
+	if (
+		text.includes(delimiter) ||
+		text.includes('"') ||
+		text.includes('\n') ||
+		text.includes('\r')
+	) {
+		return `"${text.replace(/"/g, '""')}"`;
+	}
+
+	return text;
+}
+
+/**
+ * Serialize a text grid to CSV/TSV
+ *
+ * @param {string[][]} rows - cells text
+ * @param {DelimitedOptions} options - format options
+ * @returns {string}
+ */
+export function toDelimited(
+	rows,
+	{ delimiter = ',', decimalSeparator = '.' } = {},
+) {
+	return rows
+		.map((row) =>
+			row
+				.map((text) =>
+					quoteField(toFileNumber(text, decimalSeparator), delimiter),
+				)
+				.join(delimiter),
+		)
+		.join('\r\n');
+}
+
+/**
+ * Parse CSV/TSV text into a text grid
+ * Supports quoted fields with escaped quotes and line breaks, trailing empty lines are dropped
+ *
+ * @param {string} text - file contents
+ * @param {DelimitedOptions} options - format options
+ * @returns {string[][]}
+ */
+export function parseDelimited(
+	text,
+	{ delimiter = ',', decimalSeparator = '.' } = {},
+) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	const pushField = () => {
+		row.push(fromFileNumber(field.trim(), decimalSeparator));
+		field = '';
+	};
+
+	const pushRow = () => {
+		pushField();
+		rows.push(row);
+		row = [];
+	};
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"' && !field.trim()) {
+			quoted = true;
+		} else if (char === delimiter) {
+			pushField();
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') {
+				i++;
+			}
+
+			pushRow();
+		} else {
+			field += char;
+		}
+	}
+
+	if (field || row.length) {
+		pushRow();
+	}
+
+	while (rows.length && rows[rows.length - 1].every((cell) => !cell)) {
+		rows.pop();
+	}
+
+	return rows;
+}
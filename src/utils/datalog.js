@@ -0,0 +1,150 @@
+/**
+ * Datalog utilities for calibration maps
+ * Reads logged samples and bins them into the cells of a map by its breakpoints
+ */
+
+import { parseDelimited } from './csv';
+
+/**
+ * @typedef {object} Datalog
+ * @property {string[]} columns - column names from the header line
+ * @property {string[][]} rows - logged values, numbers with a point as decimal separator
+ */
+
+/**
+ * @typedef {object} Sample
+ * @property {number|null} x - operating point on the X axis, null for maps without one
+ * @property {number|null} y - operating point on the Y axis, null for maps without one
+ * @property {number} value - measured value
+ */
+
+/**
+ * @typedef {object} DatalogBins
+ * @property {number[][]} hits - number of samples per map cell
+ * @property {(number|null)[][]} means - mean measured value per map cell, null without samples
+ */
+
+/**
+ * Field delimiters of logging tools, the one found most often in the header wins
+ */
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Read a logged CSV/TSV file, the first line names the columns
+ * Files delimited by commas always use the point as decimal separator
+ *
+ * @param {string} text - file contents
+ * @param {string} decimalSeparator - decimal separator of files delimited by semicolons or tabs
+ * @returns {Datalog}
+ */
+export function parseDatalog(text, decimalSeparator = '.') {
+	const header = text.split(/\r?\n/)[0] || '';
+	const delimiter = DELIMITERS.reduce((best, candidate) =>
+		header.split(candidate).length > header.split(best).length
+			? candidate
+			: best,
+	);
+	const [columns = [], ...rows] = parseDelimited(text, {
+		delimiter,
+		decimalSeparator: delimiter === ',' ? '.' : decimalSeparator,
+	});
+
+	return { columns, rows };
+}
+
+/**
+ * Find the column a value was most likely logged in
+ *
+ * @param {string[]} columns - column names
+ * @param {string[]} hints - words to look for, e.g. the axis title and unit
+ * @param {number} fallback - column index if no name matches
+ * @returns {number}
+ */
+export function guessColumn(columns, hints, fallback) {
+	const words = hints
+		.map((hint) => (hint || '').trim().toLowerCase())
+		.filter((hint) => hint);
+	const index = columns.findIndex((column) =>
+		words.some((word) => column.toLowerCase().includes(word)),
+	);
+
+	return index >= 0 ? index : Math.min(fallback, columns.length - 1);
+}
+
+/**
+ * Pick the samples out of the logged rows, rows with a missing or non-numeric value are skipped
+ *
+ * @param {Datalog} datalog - logged rows
+ * @param {{x: number|null, y: number|null, value: number}} columns - column indexes, null for a missing axis
+ * @returns {Sample[]}
+ */
+export function getSamples(datalog, columns) {
+	const read = (row, index) => {
+		if (index === null) {
+			return null;
+		}
+
+		const text = (row[index] || '').trim();
+
+		return text === '' || isNaN(Number(text)) ? NaN : Number(text);
+	};
+
+	return datalog.rows
+		.map((row) => ({
+			x: read(row, columns.x),
+			y: read(row, columns.y),
+			value: read(row, columns.value),
+		}))
+		.filter((sample) =>
+			Object.values(sample).every((value) => !Number.isNaN(value)),
+		);
+}
+
+/**
+ * Index of the breakpoint nearest to an operating point
+ * Points beyond the axis count for its first or last breakpoint, the way the ECU clamps them
+ *
+ * @param {number[]} axis - strictly increasing breakpoints
+ * @param {number} value - operating point
+ * @returns {number}
+ */
+export function findNearestBreakpoint(axis, value) {
+	return axis.reduce(
+		(nearest, breakpoint, index) =>
+			Math.abs(breakpoint - value) < Math.abs(axis[nearest] - value)
+				? index
+				: nearest,
+		0,
+	);
+}
+
+/**
+ * Count the samples of every map cell and average their values
+ * A map without an axis has a single line of cells in that direction
+ *
+ * @param {Sample[]} samples - logged samples
+ * @param {number[]|null} xAxis - X breakpoints
+ * @param {number[]|null} yAxis - Y breakpoints
+ * @returns {DatalogBins}
+ */
+export function binSamples(samples, xAxis, yAxis) {
+	const rows = yAxis ? yAxis.length : 1;
+	const columns = xAxis ? xAxis.length : 1;
+	const hits = Array.from({ length: rows }, () => new Array(columns).fill(0));
+	const sums = Array.from({ length: rows }, () => new Array(columns).fill(0));
+
+	samples.forEach(({ x, y, value }) => {
+		const i = yAxis ? findNearestBreakpoint(yAxis, y) : 0;
+		const j = xAxis ? findNearestBreakpoint(xAxis, x) : 0;
+
+		hits[i][j] += 1;
+		sums[i][j] += value;
+	});
+
+	return {
+		hits,
+		means: sums.map((row, i) =>
+			row.map((sum, j) => (hits[i][j] ? sum / hits[i][j] : null)),
+		),
+	};
+}
@@ -126,3 +126,31 @@ export function focus(element, atStart = true) {
   selection.removeAllRanges();
   selection.addRange(range);
 }
+
+/**
+ * Select all contents of the element, so typing replaces them
+ *
+ * @param {HTMLElement} element - element to select contents of
+ */
+export function selectContents(element) {
+  const range = document.createRange();
+  const selection = window.getSelection();
+
+  range.selectNodeContents(element);
+
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+/**
+ * Escape plain text so it can be used as HTML content
+ *
+ * @param {string} text - plain text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
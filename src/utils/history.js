@@ -0,0 +1,73 @@
+/**
+ * Undo/redo stacks of table snapshots
+ */
+export default class History {
+	/**
+	 * @param {number} limit - maximum number of undo steps kept
+	 */
+	constructor(limit = 100) {
+		this.limit = limit;
+		this.undoStack = [];
+		this.redoStack = [];
+	}
+
+	/**
+	 * Remember the state before a change
+	 * A new change makes the undone steps unreachable, so redo is cleared
+	 *
+	 * @param {object} state - snapshot taken before the change
+	 */
+	push(state) {
+		this.undoStack.push(state);
+		this.redoStack = [];
+
+		if (this.undoStack.length > this.limit) {
+			this.undoStack.shift();
+		}
+	}
+
+	/**
+	 * Forget the last step if it would restore the given state, e.g. after an edit was rejected
+	 *
+	 * @param {object} state - snapshot of the current state
+	 */
+	discard(state) {
+		const last = this.undoStack[this.undoStack.length - 1];
+
+		if (last && JSON.stringify(last) === JSON.stringify(state)) {
+			this.undoStack.pop();
+		}
+	}
+
+	/**
+	 * Step back
+	 *
+	 * @param {object} current - snapshot of the current state, kept for redo
+	 * @returns {object|null} - state to restore, null if there is nothing to undo
+	 */
+	undo(current) {
+		if (!this.undoStack.length) {
+			return null;
+		}
+
+		this.redoStack.push(current);
+
+		return this.undoStack.pop();
+	}
+
+	/**
+	 * Step forward again
+	 *
+	 * @param {object} current - snapshot of the current state, kept for undo
+	 * @returns {object|null} - state to restore, null if there is nothing to redo
+	 */
+	redo(current) {
+		if (!this.redoStack.length) {
+			return null;
+		}
+
+		this.undoStack.push(current);
+
+		return this.redoStack.pop();
+	}
+}
@@ -0,0 +1,138 @@
+/**
+ * Interpolation utilities for calibration maps
+ * Reads values between breakpoints the same way an ECU does: linear segments, clamped at the edges
+ */
+
+import { getAxisErrors } from './axes';
+
+/**
+ * Find the axis segment surrounding a value
+ * Values outside the axis are clamped to its first/last breakpoint
+ *
+ * @param {number[]} axis - strictly increasing breakpoints
+ * @param {number} value - value to locate
+ * @returns {{index: number, factor: number}} - lower breakpoint index and position (0-1) inside the segment
+ */
+export function findSegment(axis, value) {
+	const last = axis.length - 1;
+
+	if (last < 1 || value <= axis[0]) {
+		return { index: 0, factor: 0 };
+	}
+
+	if (value >= axis[last]) {
+		return { index: last - 1, factor: 1 };
+	}
+
+	let index = 0;
+
+	while (value > axis[index + 1]) {
+		index++;
+	}
+
+	return {
+		index,
+		factor: (value - axis[index]) / (axis[index + 1] - axis[index]),
+	};
+}
+
+/**
+ * Check if an axis can be used for interpolation
+ *
+ * @param {(number|null)[]} axis - breakpoints
+ * @returns {boolean}
+ */
+function isUsableAxis(axis) {
+	return (
+		Array.isArray(axis) && axis.length > 0 && getAxisErrors(axis).length === 0
+	);
+}
+
+/**
+ * Linear interpolation on a curve
+ *
+ * @param {number[]} axis - strictly increasing breakpoints
+ * @param {(number|null)[]} values - value for each breakpoint
+ * @param {number} x - operating point
+ * @returns {number|null} - interpolated value or null if the curve can't be read at that point
+ */
+export function interpolate1D(axis, values, x) {
+	if (!isUsableAxis(axis) || values.length < axis.length || isNaN(x)) {
+		return null;
+	}
+
+	if (axis.length === 1) {
+		return values[0] === null ? null : values[0];
+	}
+
+	const { index, factor } = findSegment(axis, x);
+	const lower = values[index];
+	const upper = values[index + 1];
+
+	if (lower === null || upper === null) {
+		return null;
+	}
+
+	return lower + (upper - lower) * factor;
+}
+
+/**
+ * Bilinear interpolation on a map
+ *
+ * @param {number[]} xAxis - strictly increasing breakpoints along the columns
+ * @param {number[]} yAxis - strictly increasing breakpoints along the rows
+ * @param {(number|null)[][]} values - map values, one row per Y breakpoint
+ * @param {number} x - operating point on the X axis
+ * @param {number} y - operating point on the Y axis
+ * @returns {number|null} - interpolated value or null if the map can't be read at that point
+ */
+export function interpolate2D(xAxis, yAxis, values, x, y) {
+	if (!isUsableAxis(yAxis) || values.length < yAxis.length || isNaN(y)) {
+		return null;
+	}
+
+	if (yAxis.length === 1) {
+		return interpolate1D(xAxis, values[0], x);
+	}
+
+	const { index, factor } = findSegment(yAxis, y);
+	const lower = interpolate1D(xAxis, values[index], x);
+	const upper = interpolate1D(xAxis, values[index + 1], x);
+
+	if (lower === null || upper === null) {
+		return null;
+	}
+
+	return lower + (upper - lower) * factor;
+}
+
+/**
+ * Re-interpolate map values onto new breakpoints
+ * A missing axis keeps the rows (or columns) as they are
+ *
+ * @param {number[]|null} xAxis - current breakpoints along the columns
+ * @param {number[]|null} yAxis - current breakpoints along the rows
+ * @param {(number|null)[][]} values - map values, one row per Y breakpoint
+ * @param {number[]|null} newXAxis - new breakpoints along the columns, with xAxis
+ * @param {number[]|null} newYAxis - new breakpoints along the rows, with yAxis
+ * @returns {(number|null)[][]} - resampled values, null where they can't be interpolated
+ */
+export function resampleMap(xAxis, yAxis, values, newXAxis, newYAxis) {
+	const rows = xAxis
+		? values.map((row) => newXAxis.map((x) => interpolate1D(xAxis, row, x)))
+		: values;
+
+	if (!yAxis) {
+		return rows;
+	}
+
+	return newYAxis.map((y) =>
+		(rows[0] || []).map((cell, j) =>
+			interpolate1D(
+				yAxis,
+				rows.map((row) => row[j]),
+				y,
+			),
+		),
+	);
+}
@@ -0,0 +1,391 @@
+/**
+ * Number parsing and formatting for table cells
+ * Every numeric feature reads and writes cells through these helpers, so they all agree on what a number is
+ */
+
+/**
+ * @typedef {object} NumberFormat
+ * @property {string} decimalSeparator - '.' or ','
+ * @property {string} thousandsSeparator - '', ',', '.', ' ' or "'"
+ * @property {string[]} suffixes - units allowed after a number, e.g. '%' or 'ms'
+ * @property {number|null} decimals - fixed decimal places of written values, null keeps the precision of the source values
+ * @property {number} minDecimals - written values have at least this many decimal places
+ * @property {boolean} grouping - write the thousands separator between digit groups
+ * @property {string} notation - map values as 'decimal' numbers, 'hex', 'unsigned' or 'signed' integers
+ * @property {number} bits - width of the integers, 8, 16 or 32
+ */
+
+/**
+ * Decimal separators a table can use
+ */
+export const DECIMAL_SEPARATORS = ['.', ','];
+
+/**
+ * Thousands separators a table can use, '' for none
+ */
+export const THOUSANDS_SEPARATORS = ['', ',', '.', ' ', "'"];
+
+/**
+ * Notations of map values, integer notations show raw values the way they are stored in the ECU memory
+ */
+export const NOTATIONS = ['decimal', 'hex', 'unsigned', 'signed'];
+
+/**
+ * Widths of integer values in bits
+ */
+export const BIT_WIDTHS = [8, 16, 32];
+
+/**
+ * Hexadecimal numbers like 0x1A3F
+ */
+const HEX_NUMBER = /^([-+]?)0x([0-9a-f]+)$/i;
+
+/**
+ * Spaces that count as a ' ' thousands separator, e.g. the no-break space of French numbers
+ */
+const SPACES = /[\u00a0\u202f]/g;
+
+/**
+ * Plain numbers with a point as decimal separator, as JavaScript writes them
+ */
+const PLAIN_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * A number followed by text without digits, e.g. '20%' or '1.5 ms'
+ */
+const SUFFIXED_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)\s*([^\d\s.,+-][^\d]*)$/;
+
+/**
+ * Complete a saved or configured number format with defaults
+ * A thousands separator equal to the decimal separator is dropped
+ *
+ * @param {Partial<NumberFormat>} [format] - format to complete
+ * @returns {NumberFormat}
+ */
+export function normalizeNumberFormat(format) {
+	const {
+		decimalSeparator,
+		thousandsSeparator,
+		suffixes,
+		decimals,
+		minDecimals,
+		grouping,
+		notation,
+		bits,
+	} = format || {};
+	const toPlaces = (value) =>
+		Number.isInteger(value) && value >= 0 ? Math.min(value, 10) : null;
+	const decimal = DECIMAL_SEPARATORS.includes(decimalSeparator)
+		? decimalSeparator
+		: '.';
+	const thousands =
+		THOUSANDS_SEPARATORS.includes(thousandsSeparator) &&
+		thousandsSeparator !== decimal
+			? thousandsSeparator
+			: '';
+
+	return {
+		decimalSeparator: decimal,
+		thousandsSeparator: thousands,
+		suffixes: Array.isArray(suffixes)
+			? suffixes
+					.filter((suffix) => typeof suffix === 'string' && suffix.trim())
+					.map((suffix) => suffix.trim())
+			: [],
+		decimals: toPlaces(decimals),
+		minDecimals: toPlaces(minDecimals) || 0,
+		grouping: grouping === true && thousands !== '',
+		notation: NOTATIONS.includes(notation) ? notation : 'decimal',
+		bits: BIT_WIDTHS.includes(bits) ? bits : 16,
+	};
+}
+
+/**
+ * Find the units typed after the numbers of saved cells, e.g. '%' in '20%'
+ * Tables saved before the number format read any text after a number as a unit, with these suffixes their cells stay numeric
+ *
+ * @param {string[][]} content - saved cells HTML content
+ * @returns {string[]}
+ */
+export function detectSuffixes(content) {
+	const suffixes = [];
+
+	content.forEach((row) => {
+		row.forEach((cell) => {
+			const text = String(cell || '')
+				.replace(/<[^>]*>/g, '')
+				.replace(/&nbsp;/g, ' ')
+				.replace(SPACES, ' ')
+				.trim();
+			const match = !HEX_NUMBER.test(text) && SUFFIXED_NUMBER.exec(text);
+			const suffix = match && match[2].trim();
+
+			if (suffix && !suffixes.includes(suffix)) {
+				suffixes.push(suffix);
+			}
+		});
+	});
+
+	return suffixes;
+}
+
+/**
+ * Split the text of a cell into the number and an accepted suffix
+ * Tags are dropped and every kind of space becomes a plain one
+ *
+ * @param {string} content - cell HTML content
+ * @param {NumberFormat} format - number format
+ * @returns {string[]} - number text and suffix with its leading space, '' without suffix
+ */
+function splitSuffix(content, format) {
+	const text = (content || '')
+		.replace(/<[^>]*>/g, '')
+		.replace(/&nbsp;/g, ' ')
+		.replace(SPACES, ' ')
+		.trim();
+	const suffix = format.suffixes.find(
+		(candidate) => text.endsWith(candidate) && text !== candidate,
+	);
+
+	if (!suffix) {
+		return [text, ''];
+	}
+
+	const number = text.slice(0, -suffix.length).trimEnd();
+
+	return [number, text.slice(number.length)];
+}
+
+/**
+ * Convert a cell text to the plain JavaScript notation, null if it is not a number in the format
+ * Thousands separators have to split the integer part into groups of three digits
+ *
+ * @param {string} text - cell text without suffix
+ * @param {NumberFormat} format - number format
+ * @returns {string|null}
+ */
+function toPlainText(text, format) {
+	const { decimalSeparator, thousandsSeparator } = format;
+	const [integer, fraction, ...rest] = text.split(decimalSeparator);
+
+	if (rest.length) {
+		return null;
+	}
+
+	const sign = /^[-+]/.test(integer) ? integer[0] : '';
+	let digits = integer.slice(sign.length);
+
+	if (thousandsSeparator && digits.includes(thousandsSeparator)) {
+		if (!/^\d{1,3}$/.test(digits.split(thousandsSeparator)[0])) {
+			return null;
+		}
+
+		const groups = digits.split(thousandsSeparator).slice(1);
+
+		if (!groups.every((group) => /^\d{3}$/.test(group))) {
+			return null;
+		}
+
+		digits = digits.split(thousandsSeparator).join('');
+	}
+
+	if (!/^\d*$/.test(digits) || !/^\d*$/.test(fraction || '')) {
+		return null;
+	}
+
+	const plain =
+		fraction === undefined
+			? `${sign}${digits}`
+			: `${sign}${digits}.${fraction}`;
+
+	return PLAIN_NUMBER.test(plain) ? plain : null;
+}
+
+/**
+ * Read a hexadecimal number
+ * With the signed notation a number that fits the bit width is read as two's complement, 0xFF is -1 for 8 bits
+ *
+ * @param {string} text - cell text without suffix
+ * @param {NumberFormat} format - number format
+ * @returns {number|null} - null if the text is not hexadecimal
+ */
+function parseHex(text, format) {
+	const match = HEX_NUMBER.exec(text);
+
+	if (!match) {
+		return null;
+	}
+
+	const size = Math.pow(2, format.bits);
+	let value = parseInt(match[2], 16);
+
+	if (format.notation === 'signed' && value < size && value >= size / 2) {
+		value -= size;
+	}
+
+	return match[1] === '-' ? -value : value;
+}
+
+/**
+ * Parse the number of a cell
+ * '1,5' and '1 200' are only numbers if the format says so, and text after a number is only allowed as one of its suffixes
+ * Hexadecimal numbers like 0x1A are read in every notation
+ *
+ * @param {string} content - cell HTML content
+ * @param {NumberFormat} [format] - number format, JavaScript notation if not passed
+ * @returns {number|null} - parsed number or null if not numeric
+ */
+export function parseNumber(content, format = normalizeNumberFormat()) {
+	const [text] = splitSuffix(content, format);
+	const hex = parseHex(text, format);
+
+	if (hex !== null) {
+		return hex;
+	}
+
+	const plain = toPlainText(text, format);
+
+	return plain === null ? null : Number(plain);
+}
+
+/**
+ * Count the decimal places of a cell number
+ *
+ * @param {string} content - cell HTML content
+ * @param {NumberFormat} [format] - number format, JavaScript notation if not passed
+ * @returns {number}
+ */
+export function countDecimals(content, format = normalizeNumberFormat()) {
+	const plain = toPlainText(splitSuffix(content, format)[0], format);
+	const fraction = plain === null ? '' : plain.split('.')[1];
+
+	return fraction ? fraction.length : 0;
+}
+
+/**
+ * Write a plain JavaScript number text with the separators of the format
+ *
+ * @param {string} plain - number text like '-1234.50'
+ * @param {NumberFormat} format - number format
+ * @returns {string}
+ */
+function localize(plain, format) {
+	const [integer, fraction] = plain.split('.');
+	const sign = /^[-+]/.test(integer) ? integer[0] : '';
+	let digits = integer.slice(sign.length);
+
+	if (format.grouping) {
+		digits = digits.replace(/\B(?=(\d{3})+$)/g, format.thousandsSeparator);
+	}
+
+	return fraction === undefined
+		? `${sign}${digits}`
+		: `${sign}${digits}${format.decimalSeparator}${fraction}`;
+}
+
+/**
+ * Write a value as an integer of the bit width, rounded and limited to the range of the integer type
+ * Hex values are unsigned and padded to the full width, e.g. 0x01F4 for 16 bits
+ *
+ * @param {number} value - value to write
+ * @param {NumberFormat} format - number format with an integer notation
+ * @returns {string}
+ */
+function formatInteger(value, format) {
+	const size = Math.pow(2, format.bits);
+	const [min, max] =
+		format.notation === 'signed' ? [-size / 2, size / 2 - 1] : [0, size - 1];
+	const integer = Math.min(Math.max(Math.round(value), min), max);
+
+	if (format.notation === 'hex') {
+		return `0x${integer
+			.toString(16)
+			.toUpperCase()
+			.padStart(format.bits / 4, '0')}`;
+	}
+
+	return localize(String(integer), format);
+}
+
+/**
+ * Write a computed value into a cell
+ * Fixed decimals of the format win over the passed ones, otherwise the format's minimum applies
+ * Integer notations round the value to their integer type
+ *
+ * @param {number} value - value to write
+ * @param {number} decimals - decimal places of the source values
+ * @param {NumberFormat} [format] - number format, JavaScript notation if not passed
+ * @returns {string}
+ */
+export function formatNumber(
+	value,
+	decimals,
+	format = normalizeNumberFormat(),
+) {
+	if (format.notation !== 'decimal') {
+		return formatInteger(value, format);
+	}
+
+	const places =
+		format.decimals !== null
+			? format.decimals
+			: Math.max(decimals, format.minDecimals);
+	const fixed = value.toFixed(places);
+
+	// No '-0.0' for values that round to zero
+	return localize(
+		Number(fixed) === 0 ? fixed.replace('-', '') : fixed,
+		format,
+	);
+}
+
+/**
+ * Write a number in JavaScript notation with the separators of the format, keeping its digits
+ * Used for values that are moved rather than computed, e.g. pasted cells; other text is kept as it is
+ *
+ * @param {string} text - text like '1234.50'
+ * @param {NumberFormat} [format] - number format, JavaScript notation if not passed
+ * @returns {string}
+ */
+export function localizeNumber(text, format = normalizeNumberFormat()) {
+	return PLAIN_NUMBER.test(text.trim()) ? localize(text.trim(), format) : text;
+}
+
+/**
+ * Write a cell number in JavaScript notation, keeping its decimal places, e.g. for export
+ * Cells that are not numbers are kept as they are
+ *
+ * @param {string} text - cell text
+ * @param {NumberFormat} format - number format
+ * @returns {string}
+ */
+export function toPlainNumber(text, format) {
+	const value = parseNumber(text, format);
+
+	return value === null ? text : value.toFixed(countDecimals(text, format));
+}
+
+/**
+ * Rewrite a cell number from one format to another, keeping its suffix
+ * Cells that are not numbers in the old format are kept as they are
+ *
+ * @param {string} content - cell HTML content
+ * @param {NumberFormat} from - current number format
+ * @param {NumberFormat} to - new number format
+ * @param {boolean} isValue - map values follow the decimals of the new format, breakpoints and headings keep theirs
+ * @returns {string}
+ */
+export function reformatNumber(content, from, to, isValue) {
+	const value = parseNumber(content, from);
+
+	if (value === null) {
+		return content;
+	}
+
+	const decimals = countDecimals(content, from);
+	const number = isValue
+		? formatNumber(value, decimals, to)
+		: localize(value.toFixed(decimals), to);
+
+	return `${number}${splitSuffix(content, from)[1]}`;
+}
@@ -0,0 +1,263 @@
+import * as $ from './dom';
+
+/**
+ * @typedef {object} PanelField
+ * @property {string} name - key of the value passed to the callbacks
+ * @property {string} label - field label
+ * @property {number|string} value - initial value
+ * @property {string} [type] - 'number' input, 'range' slider, 'text' input or 'select' list
+ * @property {{value: string, label: string}[]} [options] - choices of a select list
+ * @property {number} [min] - minimal value
+ * @property {number} [max] - maximal value
+ * @property {number|string} [step] - value step, 'any' for free input
+ * @property {string} [unit] - unit shown next to a slider value
+ */
+
+/**
+ * Inline panel with parameters and Apply/Cancel buttons
+ * Used instead of blocking prompt() dialogs, which don't work in every embedding
+ */
+export default class Panel {
+	/**
+	 * @param {object} options - constructor options
+	 * @param {string} options.title - panel heading
+	 * @param {PanelField[]} options.fields - parameters
+	 * @param {string} [options.applyLabel] - text of the Apply button
+	 * @param {function(object): void} [options.onChange] - called with the values on every change
+	 * @param {function(object): (boolean|void)} options.onApply - called with the values on Apply, returns false to keep the panel open
+	 * @param {function(): void} options.onCancel - called on Cancel
+	 */
+	constructor({
+		title,
+		fields,
+		applyLabel = 'Apply',
+		onChange,
+		onApply,
+		onCancel,
+	}) {
+		this.title = title;
+		this.fields = fields;
+		this.applyLabel = applyLabel;
+		this.onChange = onChange;
+		this.onApply = onApply;
+		this.onCancel = onCancel;
+		this.wrapper = undefined;
+		this.inputs = {};
+	}
+
+	/**
+	 * Set of CSS classnames used in panel
+	 *
+	 * @returns {object}
+	 */
+	static get CSS() {
+		return {
+			panel: 'tc-panel',
+			title: 'tc-panel__title',
+			field: 'tc-panel__field',
+			label: 'tc-panel__label',
+			input: 'tc-panel__input',
+			output: 'tc-panel__output',
+			buttons: 'tc-panel__buttons',
+			button: 'tc-panel__button',
+			buttonApply: 'tc-panel__button--apply',
+			error: 'tc-panel__error',
+		};
+	}
+
+	/**
+	 * Returns the panel element
+	 *
+	 * @returns {Element}
+	 */
+	render() {
+		this.wrapper = $.make('div', Panel.CSS.panel);
+		this.wrapper.appendChild(
+			$.make('div', Panel.CSS.title, { textContent: this.title }),
+		);
+
+		this.fields.forEach((field) => {
+			this.wrapper.appendChild(this.createField(field));
+		});
+
+		const buttons = $.make('div', Panel.CSS.buttons);
+		const cancel = $.make('button', Panel.CSS.button, {
+			type: 'button',
+			textContent: 'Cancel',
+		});
+		const apply = $.make(
+			'button',
+			[Panel.CSS.button, Panel.CSS.buttonApply],
+			{
+				type: 'button',
+				textContent: this.applyLabel,
+			},
+		);
+
+		cancel.addEventListener('click', () => this.onCancel());
+		apply.addEventListener('click', () => this.onApply(this.getValues()));
+
+		buttons.appendChild(cancel);
+		buttons.appendChild(apply);
+		this.wrapper.appendChild(buttons);
+
+		this.error = $.make('div', Panel.CSS.error);
+		this.wrapper.appendChild(this.error);
+
+		this.wrapper.addEventListener('input', () => {
+			this.updateOutputs();
+			this.showError('');
+
+			if (this.onChange) {
+				this.onChange(this.getValues());
+			}
+		});
+
+		// Keys typed in the panel belong to it, not to the editor
+		this.wrapper.addEventListener('keydown', (event) => {
+			event.stopPropagation();
+
+			if (event.key === 'Enter') {
+				event.preventDefault();
+				this.onApply(this.getValues());
+			} else if (event.key === 'Escape') {
+				event.preventDefault();
+				this.onCancel();
+			}
+		});
+
+		return this.wrapper;
+	}
+
+	/**
+	 * Create a labelled input for a parameter
+	 *
+	 * @param {PanelField} field - parameter description
+	 * @returns {Element}
+	 */
+	createField(field) {
+		const label = $.make('label', Panel.CSS.field);
+		let input;
+
+		if (field.type === 'select') {
+			input = $.make('select', Panel.CSS.input);
+
+			field.options.forEach((option) => {
+				input.appendChild(
+					$.make('option', null, {
+						value: option.value,
+						textContent: option.label,
+					}),
+				);
+			});
+
+			input.value = String(field.value);
+		} else {
+			input = $.make('input', Panel.CSS.input, {
+				type: field.type || 'number',
+				value: String(field.value),
+			});
+		}
+
+		['min', 'max', 'step'].forEach((attribute) => {
+			if (field[attribute] !== undefined) {
+				input.setAttribute(attribute, String(field[attribute]));
+			}
+		});
+
+		label.appendChild(
+			$.make('span', Panel.CSS.label, { textContent: field.label }),
+		);
+		label.appendChild(input);
+
+		if (field.type === 'range') {
+			label.appendChild($.make('span', Panel.CSS.output));
+		}
+
+		this.inputs[field.name] = { field, input };
+		this.updateOutputs();
+
+		return label;
+	}
+
+	/**
+	 * Show slider values next to the sliders
+	 */
+	updateOutputs() {
+		Object.values(this.inputs).forEach(({ field, input }) => {
+			const output = input.parentNode.querySelector(`.${Panel.CSS.output}`);
+
+			if (output) {
+				output.textContent = `${input.value}${field.unit || ''}`;
+			}
+		});
+	}
+
+	/**
+	 * Current parameter values, an invalid number falls back to the initial value
+	 * Text fields and select lists are returned as strings
+	 *
+	 * @returns {object} - values by field name
+	 */
+	getValues() {
+		const values = {};
+
+		Object.entries(this.inputs).forEach(([name, { field, input }]) => {
+			if (field.type === 'text' || field.type === 'select') {
+				values[name] = input.value;
+
+				return;
+			}
+
+			const value = parseFloat(input.value);
+
+			values[name] = isNaN(value) ? field.value : value;
+		});
+
+		return values;
+	}
+
+	/**
+	 * Replace the values of some fields
+	 *
+	 * @param {object} values - values by field name, other fields are kept
+	 */
+	setValues(values) {
+		Object.entries(values).forEach(([name, value]) => {
+			if (this.inputs[name]) {
+				this.inputs[name].input.value = String(value);
+			}
+		});
+
+		this.updateOutputs();
+	}
+
+	/**
+	 * Show why the values can't be applied, an empty message hides it
+	 *
+	 * @param {string} message - error text
+	 */
+	showError(message) {
+		this.error.textContent = message;
+	}
+
+	/**
+	 * Put the caret into the first field
+	 */
+	focus() {
+		const first = this.wrapper.querySelector(`.${Panel.CSS.input}`);
+
+		if (first) {
+			first.focus();
+		}
+	}
+
+	/**
+	 * Remove the panel
+	 */
+	close() {
+		if (this.wrapper) {
+			this.wrapper.remove();
+		}
+	}
+}
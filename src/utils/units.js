@@ -0,0 +1,315 @@
+/**
+ * Unit utilities for calibration maps
+ * Cells can hold raw ECU counts, the physical value is raw * factor + offset
+ */
+
+import { parseNumber, localizeNumber, formatNumber } from './numbers';
+
+/**
+ * @typedef {import('./numbers').NumberFormat} NumberFormat
+ */
+
+/**
+ * @typedef {object} Scaling - unit and conversion of one dimension of the map
+ * @property {string} unit - unit of the physical value, e.g. 'rpm', 'kPa', 'ms'
+ * @property {number} factor - physical value of one raw count
+ * @property {number} offset - physical value of a raw zero
+ */
+
+/**
+ * @typedef {object} Units
+ * @property {Scaling} x - X axis (first row)
+ * @property {Scaling} y - Y axis (first column)
+ * @property {Scaling} value - map values
+ */
+
+/**
+ * Map dimensions that carry a unit
+ */
+export const UNIT_DIMENSIONS = ['x', 'y', 'value'];
+
+/**
+ * Complete saved or configured units with defaults
+ * A zero factor can't be converted back to raw counts and is replaced by 1
+ *
+ * @param {object} [units] - units to complete, a dimension may also be given as a unit string
+ * @returns {Units}
+ */
+export function normalizeUnits(units) {
+	const normalized = {};
+
+	UNIT_DIMENSIONS.forEach((dimension) => {
+		const source = (units && units[dimension]) || {};
+		const scaling = typeof source === 'string' ? { unit: source } : source;
+		const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+		normalized[dimension] = {
+			unit: typeof scaling.unit === 'string' ? scaling.unit.trim() : '',
+			factor:
+				isNumber(scaling.factor) && scaling.factor !== 0
+					? scaling.factor
+					: 1,
+			offset: isNumber(scaling.offset) ? scaling.offset : 0,
+		};
+	});
+
+	return normalized;
+}
+
+/**
+ * Check if a dimension converts raw counts, a unit alone doesn't
+ *
+ * @param {Scaling} scaling - dimension to check
+ * @returns {boolean}
+ */
+export function hasScaling(scaling) {
+	return scaling.factor !== 1 || scaling.offset !== 0;
+}
+
+/**
+ * Check if any dimension has a unit or a scaling
+ *
+ * @param {Units} units - units to check
+ * @returns {boolean}
+ */
+export function hasUnits(units) {
+	return UNIT_DIMENSIONS.some(
+		(dimension) => units[dimension].unit || hasScaling(units[dimension]),
+	);
+}
+
+/**
+ * Drop the floating point noise of a conversion, e.g. 0.30000000000000004
+ *
+ * @param {number} value - converted value
+ * @returns {number}
+ */
+function clean(value) {
+	return parseFloat(value.toPrecision(12));
+}
+
+/**
+ * Convert a raw count to the physical value
+ *
+ * @param {number} value - raw value
+ * @param {Scaling} scaling - conversion
+ * @returns {number}
+ */
+export function toPhysical(value, scaling) {
+	return clean(value * scaling.factor + scaling.offset);
+}
+
+/**
+ * Convert a physical value to the raw count
+ *
+ * @param {number} value - physical value
+ * @param {Scaling} scaling - conversion
+ * @returns {number}
+ */
+export function toRaw(value, scaling) {
+	return clean((value - scaling.offset) / scaling.factor);
+}
+
+/**
+ * Convert the content of a cell, cells that are not a number are kept as they are
+ * Raw values are written in the integer notation of the format, e.g. hex
+ *
+ * @param {string} content - cell HTML content
+ * @param {Scaling} scaling - conversion
+ * @param {boolean} physical - true converts raw to physical, false physical to raw
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {string}
+ */
+export function convertCell(content, scaling, physical, format = undefined) {
+	const value = parseNumber(content, format);
+
+	if (value === null || !hasScaling(scaling)) {
+		return content;
+	}
+
+	if (physical) {
+		return localizeNumber(String(toPhysical(value, scaling)), format);
+	}
+
+	const raw = toRaw(value, scaling);
+
+	return format && format.notation !== 'decimal'
+		? formatNumber(raw, 0, format)
+		: localizeNumber(String(raw), format);
+}
+
+/**
+ * Convert a whole grid, breakpoints with the axis scalings and the map values with the value scaling
+ * Plain headings and the corner cell are kept as they are, breakpoints are always decimal
+ *
+ * @param {string[][]} grid - table grid
+ * @param {Units} units - conversions
+ * @param {object} layout - what the leading lines hold
+ * @param {boolean} layout.xAxis - the first row holds X breakpoints
+ * @param {boolean} layout.yAxis - the first column holds Y breakpoints
+ * @param {boolean} layout.firstRow - the first row holds headings or breakpoints
+ * @param {boolean} layout.firstColumn - the first column holds headings or breakpoints
+ * @param {boolean} physical - true converts raw to physical, false physical to raw
+ * @param {NumberFormat} [format] - number format of the cells
+ * @returns {string[][]}
+ */
+export function convertGrid(grid, units, layout, physical, format = undefined) {
+	const axisFormat = format && { ...format, notation: 'decimal' };
+
+	return grid.map((row, i) =>
+		row.map((cell, j) => {
+			const inFirstRow = i === 0 && layout.firstRow;
+			const inFirstColumn = j === 0 && layout.firstColumn;
+
+			if (inFirstRow && inFirstColumn) {
+				return cell;
+			}
+
+			if (inFirstRow) {
+				return layout.xAxis
+					? convertCell(cell, units.x, physical, axisFormat)
+					: cell;
+			}
+
+			if (inFirstColumn) {
+				return layout.yAxis
+					? convertCell(cell, units.y, physical, axisFormat)
+					: cell;
+			}
+
+			return convertCell(cell, units.value, physical, format);
+		}),
+	);
+}
+
+/**
+ * Fuels for the lambda/AFR conversion, with their stoichiometric air-fuel ratio
+ */
+export const FUELS = {
+	gasoline: { name: 'Gasoline', stoich: 14.7 },
+	e85: { name: 'E85', stoich: 9.765 },
+	ethanol: { name: 'Ethanol', stoich: 9.0 },
+	methanol: { name: 'Methanol', stoich: 6.4 },
+	diesel: { name: 'Diesel', stoich: 14.5 },
+	lpg: { name: 'LPG', stoich: 15.5 },
+	cng: { name: 'CNG', stoich: 17.2 },
+};
+
+/**
+ * @typedef {object} ConversionParams
+ * @property {number} stoich - stoichiometric air-fuel ratio of the fuel, for λ/AFR
+ * @property {number} injectorRate - injector flow in mg per ms of opening, for mg/stroke and ms
+ */
+
+/**
+ * Convertible units grouped by quantity
+ * Each unit is a linear function of the base unit of its group: base = value * scale + offset
+ */
+export const UNIT_QUANTITIES = {
+	pressure: {
+		name: 'Pressure',
+		units: {
+			kPa: { scale: () => 1 },
+			bar: { scale: () => 100 },
+			psi: { scale: () => 6.894757293168 },
+		},
+	},
+	temperature: {
+		name: 'Temperature',
+		units: {
+			'°C': { scale: () => 1 },
+			'°F': { scale: () => 5 / 9, offset: (-32 * 5) / 9 },
+			K: { scale: () => 1, offset: -273.15 },
+		},
+	},
+	mixture: {
+		name: 'Mixture',
+		units: {
+			λ: { scale: () => 1 },
+			AFR: { scale: ({ stoich }) => 1 / stoich },
+		},
+	},
+	fuelMass: {
+		name: 'Fuel',
+		units: {
+			'mg/stroke': { scale: () => 1 },
+			ms: { scale: ({ injectorRate }) => injectorRate },
+		},
+	},
+};
+
+/**
+ * Find the quantity group of a unit
+ *
+ * @param {string} unit - unit name
+ * @returns {string|null} - key of the group in UNIT_QUANTITIES
+ */
+export function findQuantity(unit) {
+	return (
+		Object.keys(UNIT_QUANTITIES).find(
+			(quantity) => unit in UNIT_QUANTITIES[quantity].units,
+		) || null
+	);
+}
+
+/**
+ * Linear conversion between two units of the same quantity: to = from * factor + offset
+ *
+ * @param {string} from - current unit
+ * @param {string} to - new unit
+ * @param {ConversionParams} params - fuel and injector of the conversion
+ * @returns {{factor: number, offset: number}|null} - null if the units can't be converted into each other
+ */
+export function getUnitConversion(from, to, params) {
+	const quantity = findQuantity(from);
+
+	if (!quantity || findQuantity(to) !== quantity) {
+		return null;
+	}
+
+	const { units } = UNIT_QUANTITIES[quantity];
+	const source = {
+		scale: units[from].scale(params),
+		offset: units[from].offset || 0,
+	};
+	const target = {
+		scale: units[to].scale(params),
+		offset: units[to].offset || 0,
+	};
+
+	if (
+		![source.scale, target.scale].every(
+			(scale) => isFinite(scale) && scale > 0,
+		)
+	) {
+		return null;
+	}
+
+	return {
+		factor: source.scale / target.scale,
+		offset: (source.offset - target.offset) / target.scale,
+	};
+}
+
+/**
+ * Decimal places of converted values, so they keep about the same significant digits
+ * Converting 100 kPa to psi gives 14.5, converting it back gives 100 again
+ *
+ * @param {number} decimals - decimal places of the values before the conversion
+ * @param {number} factor - conversion factor
+ * @returns {number}
+ */
+export function getConvertedDecimals(decimals, factor) {
+	return Math.max(0, decimals + Math.round(-Math.log10(Math.abs(factor))));
+}
+
+/**
+ * Join a value and its unit for display
+ *
+ * @param {string|number} value - displayed value
+ * @param {string} unit - unit, may be empty
+ * @returns {string}
+ */
+export function withUnit(value, unit) {
+	return unit ? `${value} ${unit}` : String(value);
+}